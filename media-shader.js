@@ -5,17 +5,47 @@
  * @customElement
  * @extends HTMLElement
  *
- * @property {string} src - URL of the image or video to display
+ * @property {string} src - URL of the image or video to display, or 'camera:' for a live camera
+ * @property {MediaStream|CanvasImageSource|VideoFrame|MediaShader|null} srcObject - Stream, drawable or other media-shader to display, takes precedence over src
+ * @property {string} sourceElement - Selector of an image, video, canvas or media-shader in the page to use as the source
  * @property {string|string[]} fragmentShader - GLSL fragment shader code (string for single-pass, array for multi-pass)
  * @property {string} vertexShader - GLSL vertex shader code (for multi-pass, uses same vertex shader for all passes)
+ * @property {string} fragmentShaderSrc - URL of a fragment shader file, used when no fragment shader is set inline
+ * @property {string} vertexShaderSrc - URL of a vertex shader file, used when no vertex shader is set inline
+ * @property {string} effect - Name of a registered effect to use when no fragment shader is set
+ * @property {string} dialect - Shader dialect ('glsl' or 'shadertoy' for pasting Shadertoy code verbatim)
  * @property {string} width - Width of the canvas in pixels
  * @property {string} height - Height of the canvas in pixels
+ * @property {string} fit - How the media fits the element, like CSS object-fit ('fill', 'contain', 'cover', 'none' or 'scale-down')
+ * @property {string} position - Where the media sits in the element, like CSS object-position
  * @property {string|string[]} uniforms - Uniform values (object for single-pass, array of objects for multi-pass)
- * @property {boolean} playing - Controls video playback when the media is a video
+ * @property {string|Object} timeline - Uniform keyframes played on the shader clock
+ * @property {string|Object} textures - Additional textures as an object mapping sampler uniform names to media URLs
+ * @property {boolean} playing - Controls playback when the media is a video or an animated image
  * @property {boolean} muted - Controls video mute state when the media is a video
  * @property {number} volume - Controls video volume from 0 to 1 when the media is a video
  * @property {string} alt - Alternative text for accessibility
  * @property {string} loading - Loading mode ('eager' or 'lazy')
+ * @property {string} renderMode - When frames are drawn ('continuous', 'on-demand' or 'auto')
+ * @property {string} clock - Shader clock mode ('auto' follows wall time, 'manual' is driven by renderFrame)
+ * @property {number} time - Shader time in seconds; setting it freezes the clock at that time
+ * @property {boolean} sharedContext - Renders with one WebGL context shared by every element that sets it
+ * @property {boolean} controls - Shows a panel of controls for the annotated uniforms of the shader
+ * @property {Object[]} errors - Diagnostics from the most recent shader compile (read-only)
+ * @property {Object|Object[]} uniformInfo - Active uniforms of the current shaders with their GLSL types (read-only)
+ * @property {boolean} recording - Whether the output is currently being recorded (read-only)
+ * @property {number|null} webglVersion - 2 for WebGL2, 1 when running on the WebGL1 fallback (read-only)
+ *
+ * @fires shadererror - When a shader stage fails to compile or a program fails to link
+ * @fires shadercompiled - When all shader programs compiled and linked successfully
+ * @fires uniformchange - When a uniform is changed through the controls panel
+ * @fires featureunavailable - When a feature needs WebGL2 but only WebGL1 is available, or a render target format is unsupported
+ * @fires streamended - When every video track of a live stream source has ended
+ * @fires contextlost - When the WebGL context is lost and rendering pauses
+ * @fires contextrestored - When the WebGL context is restored and everything has been rebuilt
+ * @fires render - After each rendered frame
+ * @fires recordingstart - When a recording started by startRecording begins
+ * @fires recordingstop - When a recording stops, with the recorded Blob in `detail.blob`
  */
 class MediaShader extends HTMLElement {
   // Private fields
@@ -34,13 +64,75 @@ class MediaShader extends HTMLElement {
   #startTime = performance.now();
   #mouseData = new Float32Array(4);
   #isMouseDown = false;
+  #pointers = new Map(); // Active pointers by pointerId
+  static #maxPointers = 10; // Length of the u_pointers arrays
+  static #effects = new Map(); // Registered effects by name
+  static #chunks = new Map(); // Registered GLSL chunks by name
+  static #chunkRequests = new Map(); // Chunk URL -> 'loading' or 'failed'
+  #waitingChunks = new Set(); // Chunks the last compile couldn't include yet
+  #includedChunks = new Set(); // Chunks the current shaders include
+  static #shaderFiles = new Map(); // Shader file URL -> promise of its source
+  #shaderFileSources = { fragment: null, vertex: null }; // Fetched *-shader-src files
+  #scriptShaders = { fragment: null, vertex: null }; // Shaders from <script> children
+  #scriptObserver = null;
+  #sourceElementObserver = null; // Waits for a source-element that isn't in the page yet
+  // Render target formats and the lower precision each falls back to
+  static #formatFallbacks = {
+    RGBA32F: "RGBA16F",
+    RGBA16F: "RGBA8",
+    RGBA8: null,
+  };
+  static #pointerUniforms = [
+    "u_mouse",
+    "u_pointers",
+    "u_pointer_ids",
+    "u_pointer_count",
+  ];
   #framebuffers = [];
   #framebufferTextures = [];
   #isMultiPass = false;
-  #fragmentShaders = [];
+  #passes = []; // Normalized multi-pass graph: { name, fragment, inputs, format }
   #resizeObserver;
   #buffers = null;
+  #texCoordRect = null; // Media rect the texture coordinate buffer holds
+  #animatedImage = null; // ImageDecoder playback state of an animated image
+  #imageAnimation = "static"; // Whether the <img> is 'static', 'animated' or 'unknown'
+  #imageObjectURL = null; // Object URL the <img> shows a fetched image through
+  #needsRender = true; // Whether something changed since the last frame
+  #render = null; // Frame callback of the running render loop
   #videoFrameCallback = null;
+  #errors = [];
+  #feedbackBuffers = new Map(); // Pass index -> { read, write, format } render targets
+  #copyProgram = null;
+  #blankTexture = null; // 1x1 transparent texture for unbound Shadertoy channels
+  #textures = new Map(); // Sampler uniform name -> additional input texture
+  #srcObject = null;
+  #cameraStream = null; // Stream opened for a 'camera:' src, owned by the component
+  #streamWatch = null; // AbortController of the listeners on the displayed stream
+  #sourceObject = null; // Drawable source owned by the page (canvas, bitmap, element, ...)
+  #detachSourceObject = null;
+  #renderTarget = null; // Offscreen { framebuffer, width, height } to render into instead of the canvas
+  #recording = null; // Active { recorder, stream, stopped } recording
+  #manualTime = 0; // Shader time while clock="manual"
+  #frameTime = null; // Time override for a single renderFrame() call
+  #animations = new Map(); // "pass:name" -> running animateUniform() state
+  #timeline = null; // Parsed timeline with sorted keyframes
+  #uniformInfo = new Map(); // Reflected uniforms of the single-pass program
+  #passUniformInfo = []; // Reflected uniforms per pass
+  #uniformTypeTable = null;
+  #shaderSources = []; // Vertex and fragment source of each compiled pass
+  #controlsPanel = null;
+  #controls = []; // Controls shown in the panel
+  #frameCount = 0; // Frames drawn since the shaders were compiled
+  #deltaTime = 0; // Seconds between the last two frames
+  #previousFrameTime = null;
+  #webgl2 = false; // Whether the context is WebGL2 rather than the WebGL1 fallback
+  #unavailableFeatures = new Set(); // Features already reported as unavailable
+  #reportedFormats = new Set(); // "pass:format" fallbacks reported since the last compile
+  #renderer = null; // Shared renderer this element draws with, null with its own context
+  #presentContext = null; // 2D context the shared renderer's output is copied into
+  static #sharedRenderer = null; // { canvas, gl, webgl2, programs, programKeys, elements }
+  #contextLost = false; // Whether the context is lost and waiting to be restored
 
   /**
    * Creates a new ShaderViewer instance and initializes the WebGL context.
@@ -68,6 +160,26 @@ class MediaShader extends HTMLElement {
                 width: 100%;
                 height: 100%;
             }
+            .controls {
+                position: absolute;
+                top: 8px;
+                right: 8px;
+                display: grid;
+                gap: 4px;
+                max-height: calc(100% - 32px);
+                overflow: auto;
+                padding: 8px;
+                border-radius: 4px;
+                background: rgba(0, 0, 0, 0.6);
+                color: #fff;
+                font: 12px system-ui, sans-serif;
+            }
+            .controls label {
+                display: grid;
+                grid-template-columns: 8em 10em 3em;
+                align-items: center;
+                gap: 6px;
+            }
         `;
     this.shadowRoot.appendChild(style);
 
@@ -106,7 +218,10 @@ class MediaShader extends HTMLElement {
 
             void main() {
                 if (u_has_texture) {
-                    fragColor = texture(u_texture, v_tex_coord);
+                    // Leave the letterbox of fit="contain" transparent
+                    bool inside = all(greaterThanEqual(v_tex_coord, vec2(0.0))) &&
+                        all(lessThanEqual(v_tex_coord, vec2(1.0)));
+                    fragColor = inside ? texture(u_texture, v_tex_coord) : vec4(0.0);
                 } else {
                     // For non-textured cases, show the animated gradient
                     vec2 uv = v_tex_coord;
@@ -129,6 +244,32 @@ class MediaShader extends HTMLElement {
             }
         `;
 
+    // Default fragment shader for the WebGL1 fallback
+    this.fallbackFragmentShader = `
+            precision highp float;
+            uniform sampler2D u_texture;
+            uniform vec2 u_resolution;
+            uniform float u_time;
+            uniform vec4 u_mouse;
+            uniform bool u_has_texture;
+            varying vec2 v_tex_coord;
+
+            void main() {
+                if (u_has_texture) {
+                    // Leave the letterbox of fit="contain" transparent
+                    bool inside = all(greaterThanEqual(v_tex_coord, vec2(0.0))) &&
+                        all(lessThanEqual(v_tex_coord, vec2(1.0)));
+                    gl_FragColor = inside ? texture2D(u_texture, v_tex_coord) : vec4(0.0);
+                } else {
+                    // For non-textured cases, show the animated gradient
+                    vec2 uv = v_tex_coord;
+                    uv.x *= u_resolution.x/u_resolution.y;
+                    vec3 color = 0.5 + 0.5 * cos(u_time + uv.xyx + vec3(0,2,4));
+                    gl_FragColor = vec4(color, 1.0);
+                }
+            }
+        `;
+
     // Only initialize WebGL if loading is eager
     if (this.loading === "eager") {
       this.initializeComponent();
@@ -151,6 +292,37 @@ class MediaShader extends HTMLElement {
     }
   }
 
+  /**
+   * Gets the source object: a MediaStream, a canvas, OffscreenCanvas,
+   * ImageBitmap, VideoFrame, image or video element, or another media-shader.
+   * @returns {MediaStream|CanvasImageSource|VideoFrame|MediaShader|null} The source object or null if not set
+   */
+  get srcObject() {
+    return this.#srcObject;
+  }
+
+  set srcObject(value) {
+    this.#srcObject = value || null;
+    // Fall back to source-element or src when the object is cleared
+    this.loadMedia(this.#currentSource());
+  }
+
+  /**
+   * Gets the selector of the page element used as the source.
+   * @returns {string|null} The selector or null if not set
+   */
+  get sourceElement() {
+    return this.getAttribute("source-element");
+  }
+
+  set sourceElement(value) {
+    if (value) {
+      this.setAttribute("source-element", value);
+    } else {
+      this.removeAttribute("source-element");
+    }
+  }
+
   /**
    * Gets the fragment shader code.
    * @returns {string|null} The fragment shader code or null if not set
@@ -186,6 +358,38 @@ class MediaShader extends HTMLElement {
     }
   }
 
+  /**
+   * Gets the URL of the fragment shader file.
+   * @returns {string|null} The URL or null if not set
+   */
+  get fragmentShaderSrc() {
+    return this.getAttribute("fragment-shader-src");
+  }
+
+  set fragmentShaderSrc(value) {
+    if (value) {
+      this.setAttribute("fragment-shader-src", value);
+    } else {
+      this.removeAttribute("fragment-shader-src");
+    }
+  }
+
+  /**
+   * Gets the URL of the vertex shader file.
+   * @returns {string|null} The URL or null if not set
+   */
+  get vertexShaderSrc() {
+    return this.getAttribute("vertex-shader-src");
+  }
+
+  set vertexShaderSrc(value) {
+    if (value) {
+      this.setAttribute("vertex-shader-src", value);
+    } else {
+      this.removeAttribute("vertex-shader-src");
+    }
+  }
+
   /**
    * Gets the canvas width.
    * @returns {string|null} The width value or null if not set
@@ -243,6 +447,44 @@ class MediaShader extends HTMLElement {
     }
   }
 
+  /**
+   * Gets the uniform keyframe timeline as a JSON string.
+   * @returns {string|null} JSON timeline or null if not set
+   */
+  get timeline() {
+    return this.getAttribute("timeline");
+  }
+
+  set timeline(value) {
+    if (value) {
+      this.setAttribute(
+        "timeline",
+        typeof value === "string" ? value : JSON.stringify(value)
+      );
+    } else {
+      this.removeAttribute("timeline");
+    }
+  }
+
+  /**
+   * Gets the additional input textures as a JSON string.
+   * @returns {string|null} JSON object mapping sampler uniform names to media URLs or null if not set
+   */
+  get textures() {
+    return this.getAttribute("textures");
+  }
+
+  set textures(value) {
+    if (value) {
+      this.setAttribute(
+        "textures",
+        typeof value === "string" ? value : JSON.stringify(value)
+      );
+    } else {
+      this.removeAttribute("textures");
+    }
+  }
+
   /**
    * Gets the playing state for video elements.
    * @returns {boolean} True if the video should be playing
@@ -329,6 +571,242 @@ class MediaShader extends HTMLElement {
     }
   }
 
+  /**
+   * Gets the clock mode ('auto' or 'manual').
+   * @returns {string} The clock mode, defaults to 'auto'
+   */
+  get clock() {
+    return this.getAttribute("clock") === "manual" ? "manual" : "auto";
+  }
+
+  set clock(value) {
+    if (value === "manual") {
+      this.setAttribute("clock", value);
+    } else {
+      this.removeAttribute("clock");
+    }
+  }
+
+  /**
+   * Gets the current shader time in seconds.
+   * @returns {number} The time `u_time` is rendered with
+   */
+  get time() {
+    return this.#currentTime();
+  }
+
+  set time(value) {
+    if (value !== null && value !== undefined && !isNaN(parseFloat(value))) {
+      this.setAttribute("time", parseFloat(value).toString());
+    } else {
+      this.removeAttribute("time");
+    }
+  }
+
+  /**
+   * Gets the name of the registered effect the element shows when it has no
+   * fragment-shader attribute.
+   * @returns {string|null} The effect name
+   */
+  get effect() {
+    return this.getAttribute("effect");
+  }
+
+  set effect(value) {
+    if (value) {
+      this.setAttribute("effect", value);
+    } else {
+      this.removeAttribute("effect");
+    }
+  }
+
+  /**
+   * Registers a named effect that elements can show through the effect
+   * attribute instead of repeating its GLSL. Registering a name again
+   * replaces the effect, also on elements already showing it.
+   * @param {string} name - The effect name, e.g. 'grayscale'
+   * @param {Object} effect - The effect definition
+   * @param {string} [effect.fragment] - Fragment shader of a single-pass effect
+   * @param {Array<string|Object>} [effect.passes] - Passes of a multi-pass effect, like a fragment-shader array
+   * @param {Object} [effect.uniforms] - Descriptions of the uniforms the effect reads, by name
+   * @param {Object} [effect.defaults] - Uniform values used where the uniforms attribute sets none
+   */
+  static registerEffect(
+    name,
+    { fragment, passes, uniforms = {}, defaults = {} } = {}
+  ) {
+    if (
+      typeof fragment !== "string" &&
+      !(Array.isArray(passes) && passes.length > 0)
+    ) {
+      throw new Error(`Effect '${name}' needs a fragment shader or passes`);
+    }
+
+    MediaShader.#effects.set(name, { fragment, passes, uniforms, defaults });
+
+    for (const element of document.querySelectorAll("media-shader")) {
+      if (element instanceof MediaShader && element.effect === name) {
+        element.#updateEffect();
+      }
+    }
+  }
+
+  /**
+   * Gets the definition of a registered effect.
+   * @param {string} name - The effect name
+   * @returns {Object|null} A copy of `{fragment, passes, uniforms, defaults}`, or null if unknown
+   */
+  static getEffect(name) {
+    const effect = MediaShader.#effects.get(name);
+    return effect ? structuredClone(effect) : null;
+  }
+
+  /**
+   * Registers a GLSL chunk that shaders can pull in with `#include "name"`.
+   * Shaders including or waiting for the chunk are compiled again.
+   * @param {string} name - The chunk name, e.g. 'noise'
+   * @param {string} source - The GLSL source of the chunk
+   */
+  static registerChunk(name, source) {
+    MediaShader.#chunks.set(name, source);
+    MediaShader.#recompileIncluding(name);
+  }
+
+  /**
+   * Gets the names of all registered effects.
+   * @returns {string[]} Effect names in registration order
+   */
+  static get effects() {
+    return [...MediaShader.#effects.keys()];
+  }
+
+  /**
+   * Gets the shader dialect.
+   * @returns {string} 'shadertoy' or 'glsl'
+   */
+  get dialect() {
+    return this.getAttribute("dialect") === "shadertoy" ? "shadertoy" : "glsl";
+  }
+
+  set dialect(value) {
+    if (value) {
+      this.setAttribute("dialect", value);
+    } else {
+      this.removeAttribute("dialect");
+    }
+  }
+
+  /**
+   * Gets the WebGL version of the rendering context.
+   * @returns {number|null} 2, 1 on the WebGL1 fallback, or null before initialization
+   */
+  get webglVersion() {
+    if (!this.gl) return null;
+    return this.#webgl2 ? 2 : 1;
+  }
+
+  /**
+   * Gets when frames are drawn: every animation frame ('continuous'), only
+   * when something changes ('on-demand'), or continuously only while the
+   * shader depends on time ('auto').
+   * @returns {string} 'continuous', 'on-demand' or 'auto'
+   */
+  get renderMode() {
+    const mode = this.getAttribute("render-mode");
+    return mode === "on-demand" || mode === "auto" ? mode : "continuous";
+  }
+
+  set renderMode(value) {
+    if (value) {
+      this.setAttribute("render-mode", value);
+    } else {
+      this.removeAttribute("render-mode");
+    }
+  }
+
+  /**
+   * Gets how the media is fitted into the element.
+   * @returns {string} 'fill', 'contain', 'cover', 'none' or 'scale-down'
+   */
+  get fit() {
+    return this.getAttribute("fit") || "fill";
+  }
+
+  set fit(value) {
+    if (value) {
+      this.setAttribute("fit", value);
+    } else {
+      this.removeAttribute("fit");
+    }
+  }
+
+  /**
+   * Gets where the media is placed inside the element.
+   * @returns {string} A CSS object-position value
+   */
+  get position() {
+    return this.getAttribute("position") || "50% 50%";
+  }
+
+  set position(value) {
+    if (value) {
+      this.setAttribute("position", value);
+    } else {
+      this.removeAttribute("position");
+    }
+  }
+
+  /**
+   * Gets whether the uniform controls panel is shown.
+   * @returns {boolean} True if the controls attribute is present
+   */
+  get controls() {
+    return this.hasAttribute("controls");
+  }
+
+  set controls(value) {
+    if (value) {
+      this.setAttribute("controls", "");
+    } else {
+      this.removeAttribute("controls");
+    }
+  }
+
+  /**
+   * Gets whether the element renders with the WebGL context shared by all
+   * elements with the shared-context attribute instead of its own.
+   * @returns {boolean} True if the shared context is used
+   */
+  get sharedContext() {
+    return this.hasAttribute("shared-context");
+  }
+
+  set sharedContext(value) {
+    if (value) {
+      this.setAttribute("shared-context", "");
+    } else {
+      this.removeAttribute("shared-context");
+    }
+  }
+
+  /**
+   * Gets the diagnostics produced by the most recent shader compile.
+   * Each entry has the shape `{pass, stage, file, line, column, message, severity}`.
+   * Empty when the current shaders compiled cleanly.
+   * @returns {Object[]} A copy of the current diagnostics
+   */
+  get errors() {
+    return this.#errors.map((error) => ({ ...error }));
+  }
+
+  /**
+   * Gets whether the shaded output is currently being recorded.
+   * @returns {boolean} True while a recording is in progress
+   */
+  get recording() {
+    return this.#recording !== null;
+  }
+
   /**
    * Lifecycle callback when the element is added to the document.
    * Initializes the component with attribute values.
@@ -360,17 +838,38 @@ class MediaShader extends HTMLElement {
     );
     this.#intersectionObserver.observe(this);
 
+    // Recompile when <script> shader children are added, removed or edited
+    this.#scriptShaders = this.#readScriptShaders();
+    this.#scriptObserver = new MutationObserver(() => {
+      const scriptShaders = this.#readScriptShaders();
+      if (
+        scriptShaders.fragment !== this.#scriptShaders.fragment ||
+        scriptShaders.vertex !== this.#scriptShaders.vertex
+      ) {
+        this.#scriptShaders = scriptShaders;
+        this.#recompile();
+      }
+    });
+    this.#scriptObserver.observe(this, {
+      childList: true,
+      characterData: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ["type", "data-name", "data-inputs", "data-format"],
+    });
+
     // For eager loading, initialize immediately
     if (this.loading === "eager" && !this.#isLoaded) {
       this.initializeComponent();
     }
 
-    // Add mouse event listeners
-    this.addEventListener("mousemove", this.#onMouseMove);
-    this.addEventListener("mousedown", this.#onMouseDown);
-    this.addEventListener("mouseup", this.#onMouseUp);
-    // Optional: handle mouse leaving the element
-    this.addEventListener("mouseleave", this.#onMouseUp);
+    // Add pointer event listeners for mouse, touch and pen input
+    this.addEventListener("pointermove", this.#onPointerMove);
+    this.addEventListener("pointerdown", this.#onPointerDown);
+    this.addEventListener("pointerup", this.#onPointerUp);
+    this.addEventListener("pointercancel", this.#onPointerUp);
+    // Optional: handle pointers leaving the element
+    this.addEventListener("pointerleave", this.#onPointerUp);
   }
 
   /**
@@ -389,15 +888,44 @@ class MediaShader extends HTMLElement {
     this.canvas.setAttribute("role", "img");
     this.shadowRoot.appendChild(this.canvas);
 
-    // Initialize WebGL context
-    this.gl = this.canvas.getContext("webgl2", {
-      preserveDrawingBuffer: true,
-      alpha: true,
-    });
+    // Initialize WebGL context, falling back to WebGL1. With shared-context
+    // the element draws with the shared context and copies the result over
+    if (this.sharedContext) {
+      this.#renderer = MediaShader.#acquireSharedRenderer(this);
+      if (this.#renderer) {
+        this.#presentContext = this.canvas.getContext("2d");
+      }
+      this.gl = this.#renderer ? this.#renderer.gl : null;
+      this.#webgl2 = !!this.#renderer?.webgl2;
+    } else {
+      ({ gl: this.gl, webgl2: this.#webgl2 } = MediaShader.#getContext(
+        this.canvas
+      ));
+
+      // Losing the context the element tears down itself is expected, by
+      // then the canvas has been replaced
+      const canvas = this.canvas;
+      canvas.addEventListener("webglcontextlost", (event) => {
+        if (canvas !== this.canvas) return;
+        event.preventDefault();
+        this.#onContextLost();
+      });
+      canvas.addEventListener("webglcontextrestored", () => {
+        if (canvas === this.canvas) {
+          this.#onContextRestored();
+        }
+      });
+    }
     if (!this.gl) {
-      console.error("WebGL2 not supported");
+      console.error("WebGL not supported");
       return;
     }
+    if (!this.#webgl2) {
+      this.#reportUnavailableFeature(
+        "webgl2",
+        "WebGL2 is not available, falling back to WebGL1"
+      );
+    }
 
     // Initialize WebGL setup
     this.initWebGL();
@@ -406,9 +934,11 @@ class MediaShader extends HTMLElement {
     this.#isLoaded = true;
 
     // Get initial attribute values
-    const src = this.getAttribute("src");
-    const fragmentShader = this.getAttribute("fragment-shader");
+    const src = this.#currentSource();
+    const fragmentShader = this.#fragmentShaderSource();
     const uniforms = this.getAttribute("uniforms");
+    const timeline = this.getAttribute("timeline");
+    const textures = this.getAttribute("textures");
     const width = this.getAttribute("width");
     const height = this.getAttribute("height");
 
@@ -416,9 +946,15 @@ class MediaShader extends HTMLElement {
     if (fragmentShader) {
       this.updateShader(fragmentShader);
     }
-    if (uniforms) {
+    if (uniforms || this.#currentEffect()) {
       this.updateUniforms(uniforms);
     }
+    if (timeline) {
+      this.updateTimeline(timeline);
+    }
+    if (textures) {
+      this.updateTextures(textures);
+    }
     if (width) {
       this.#width = width;
       this.style.width = width;
@@ -441,19 +977,43 @@ class MediaShader extends HTMLElement {
    * Cleans up resources when the component is unloaded.
    */
   cleanup() {
+    // Settle running animations so their finished promises resolve
+    for (const animation of [...this.#animations.values()]) {
+      animation.finish(false);
+    }
+
     if (!this.#isLoaded) return;
 
+    // Finish any recording, the canvas it captures is about to go away
+    if (this.#recording) {
+      this.stopRecording().catch((error) =>
+        console.error("Failed to stop recording:", error)
+      );
+    }
+
     // Cancel animation frame
     if (this.animationFrame) {
       cancelAnimationFrame(this.animationFrame);
       this.animationFrame = null;
     }
+    this.#render = null;
+    this.#contextLost = false;
 
     // Pause video if playing
     if (this.mediaElement && this.mediaElement.tagName === "VIDEO") {
       this.mediaElement.pause();
     }
 
+    // Stop decoding an animated image, it is decoded again on initialization
+    this.#stopAnimatedImage();
+
+    // Release the camera while out of view, it is reopened on initialization
+    this.#stopCameraStream();
+    this.#unwatchStream();
+
+    // Stop listening to a page-owned source, it is reattached on initialization
+    this.#detachSource();
+
     // Clean up WebGL resources
     if (this.gl) {
       // Delete buffers
@@ -465,6 +1025,7 @@ class MediaShader extends HTMLElement {
           this.gl.deleteBuffer(this.#buffers.texCoord);
         }
         this.#buffers = null;
+        this.#texCoordRect = null;
       }
 
       // Delete textures
@@ -472,38 +1033,66 @@ class MediaShader extends HTMLElement {
         this.gl.deleteTexture(this.texture);
         this.texture = null;
       }
+      for (const name of [...this.#textures.keys()]) {
+        this.#deleteInputTexture(name);
+      }
 
       // Clean up framebuffers
       this.cleanupFramebuffers();
+      this.cleanupFeedbackBuffers();
+
+      if (this.#blankTexture) {
+        this.gl.deleteTexture(this.#blankTexture);
+        this.#blankTexture = null;
+      }
+
+      if (this.#copyProgram) {
+        this.#deleteProgram(this.#copyProgram);
+        this.#copyProgram = null;
+      }
 
       // Delete shader program
       if (this.program) {
-        this.gl.deleteProgram(this.program);
+        this.#deleteProgram(this.program);
         this.program = null;
       }
 
       // Delete multi-pass shader programs
       for (const program of this.programs) {
-        this.gl.deleteProgram(program);
+        this.#deleteProgram(program);
       }
       this.programs = [];
 
       // Clear all attributes and uniforms
       this.#uniformLocations.clear();
       this.#passUniformLocations = [];
+      this.#uniformInfo = new Map();
+      this.#passUniformInfo = [];
+      this.#uniformTypeTable = null;
+      this.#shaderSources = [];
+      this.#updateControls();
+      this.#unavailableFeatures.clear();
+      this.#reportedFormats.clear();
 
       // Reset multi-pass flags
       this.#isMultiPass = false;
-      this.#fragmentShaders = [];
+      this.#passes = [];
       this.#passUniforms = [];
 
-      // Clear the canvas
-      this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+      if (this.#renderer) {
+        // Other elements may still be drawing with the shared context
+        MediaShader.#releaseSharedRenderer(this);
+        this.#renderer = null;
+        this.#presentContext = null;
+      } else {
+        // Clear the canvas
+        this.gl.clear(this.gl.COLOR_BUFFER_BIT);
 
-      // Lose the context
-      const ext = this.gl.getExtension("WEBGL_lose_context");
-      if (ext) {
-        ext.loseContext();
+        // Lose the context
+        const ext = this.gl.getExtension("WEBGL_lose_context");
+        if (ext) {
+          ext.loseContext();
+        }
       }
 
       this.gl = null;
@@ -519,49 +1108,148 @@ class MediaShader extends HTMLElement {
   }
 
   /**
-   * Lifecycle callback when the element is removed from the document.
-   * Cleans up resources and stops rendering.
+   * Pauses rendering when the WebGL context is lost, e.g. after a GPU reset
+   * or when the browser evicts the context to make room for others.
    */
-  disconnectedCallback() {
-    // Stop observing size changes
-    this.#resizeObserver.disconnect();
+  #onContextLost() {
+    this.#contextLost = true;
 
-    // Disconnect intersection observer
-    if (this.#intersectionObserver) {
-      this.#intersectionObserver.disconnect();
-      this.#intersectionObserver = null;
+    if (this.animationFrame) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
     }
+    this.#render = null;
 
-    // Clean up resources
-    this.cleanup();
-
-    // Clean up event listeners
-    this.removeEventListener("mousemove", this.#onMouseMove);
-    this.removeEventListener("mousedown", this.#onMouseDown);
-    this.removeEventListener("mouseup", this.#onMouseUp);
-    this.removeEventListener("mouseleave", this.#onMouseUp);
+    this.dispatchEvent(new CustomEvent("contextlost"));
   }
 
   /**
-   * Specifies which attributes should be observed for changes.
-   * @returns {string[]} Array of attribute names to observe
+   * Rebuilds every WebGL resource once the context is restored: buffers and
+   * the default program, the shaders from the fragment-shader attribute with
+   * their framebuffers and uniforms, and the media and input textures.
    */
-  static get observedAttributes() {
-    return [
-      "src",
-      "fragment-shader",
-      "vertex-shader",
-      "width",
-      "height",
-      "uniforms",
-      "playing",
-      "alt",
+  #onContextRestored() {
+    if (!this.#contextLost) return;
+    this.#contextLost = false;
+
+    // Resources of the lost context are gone, so forget them without deleting
+    this.program = null;
+    this.programs = [];
+    this.texture = null;
+    this.#blankTexture = null;
+    this.#copyProgram = null;
+    this.#buffers = null;
+    this.#texCoordRect = null;
+    this.#framebuffers = [];
+    this.#framebufferTextures = [];
+    this.#feedbackBuffers.clear();
+    this.#uniformLocations.clear();
+    this.#passUniformLocations = [];
+    this.#uniformInfo = new Map();
+    this.#passUniformInfo = [];
+    this.#isMultiPass = false;
+    this.#passes = [];
+
+    this.initWebGL();
+
+    // Recompiling also reapplies the current uniforms
+    const fragmentShader = this.#fragmentShaderSource();
+    if (fragmentShader) {
+      this.updateShader(fragmentShader);
+    }
+
+    // Upload the media again; videos and animations keep updating on their own
+    if (this.mediaElement || this.#sourceObject) {
+      this.createTexture();
+      if (this.#sourceObject) {
+        this.#uploadSource();
+      } else if (this.#animatedImage && !this.#playing) {
+        this.#showAnimatedImageFrame();
+      } else if (
+        this.mediaElement.tagName === "IMG" &&
+        this.mediaElement.complete
+      ) {
+        this.#uploadTexture(this.texture, this.mediaElement);
+      }
+    }
+    for (const entry of this.#textures.values()) {
+      entry.texture = this.#createMediaTexture();
+      if (entry.width && entry.height) {
+        this.#uploadTexture(entry.texture, entry.element);
+      }
+    }
+
+    this.startRenderLoop();
+
+    this.dispatchEvent(new CustomEvent("contextrestored"));
+  }
+
+  /**
+   * Lifecycle callback when the element is removed from the document.
+   * Cleans up resources and stops rendering.
+   */
+  disconnectedCallback() {
+    // Stop observing size changes
+    this.#resizeObserver.disconnect();
+
+    // Disconnect intersection observer
+    if (this.#intersectionObserver) {
+      this.#intersectionObserver.disconnect();
+      this.#intersectionObserver = null;
+    }
+
+    this.#scriptObserver?.disconnect();
+    this.#scriptObserver = null;
+    this.#sourceElementObserver?.disconnect();
+    this.#sourceElementObserver = null;
+
+    // Clean up resources
+    this.cleanup();
+
+    // Clean up event listeners
+    this.removeEventListener("pointermove", this.#onPointerMove);
+    this.removeEventListener("pointerdown", this.#onPointerDown);
+    this.removeEventListener("pointerup", this.#onPointerUp);
+    this.removeEventListener("pointercancel", this.#onPointerUp);
+    this.removeEventListener("pointerleave", this.#onPointerUp);
+    this.#pointers.clear();
+  }
+
+  /**
+   * Specifies which attributes should be observed for changes.
+   * @returns {string[]} Array of attribute names to observe
+   */
+  static get observedAttributes() {
+    return [
+      "src",
+      "fragment-shader",
+      "vertex-shader",
+      "fragment-shader-src",
+      "vertex-shader-src",
+      "dialect",
+      "width",
+      "height",
+      "uniforms",
+      "timeline",
+      "textures",
+      "playing",
+      "alt",
       "loading",
       "muted",
       "playsinline",
       "loop",
       "autoplay",
       "volume",
+      "camera-constraints",
+      "source-element",
+      "clock",
+      "time",
+      "controls",
+      "fit",
+      "position",
+      "render-mode",
+      "shared-context",
+      "effect",
     ];
   }
 
@@ -576,14 +1264,38 @@ class MediaShader extends HTMLElement {
 
     switch (name) {
       case "src":
-        await this.loadMedia(newValue);
+        // srcObject and a matched source-element take precedence over src
+        if (!this.#srcObject && !this.#sourceElement()) {
+          await this.loadMedia(newValue);
+        }
+        break;
+      case "source-element":
+        this.#sourceElementObserver?.disconnect();
+        this.#sourceElementObserver = null;
+        if (!this.#srcObject) {
+          await this.loadMedia(this.#currentSource());
+        }
         break;
       case "fragment-shader":
-        this.updateShader(newValue || this.defaultFragmentShader);
+        this.#recompile();
+        break;
+      case "fragment-shader-src":
+        await this.#loadShaderFile("fragment", newValue);
+        break;
+      case "vertex-shader-src":
+        await this.#loadShaderFile("vertex", newValue);
+        break;
+      case "effect":
+        // Warn once per change, the effect is looked up on every compile
+        if (newValue && !MediaShader.#effects.has(newValue)) {
+          console.warn(`Unknown effect '${newValue}'`);
+        }
+        this.#updateEffect();
         break;
       case "vertex-shader":
+      case "dialect":
         this.updateShader(
-          this.getAttribute("fragment-shader") || this.defaultFragmentShader
+          this.#fragmentShaderSource() || this.#builtInFragmentShader()
         );
         break;
       case "width":
@@ -599,11 +1311,23 @@ class MediaShader extends HTMLElement {
       case "uniforms":
         this.updateUniforms(newValue);
         break;
+      case "timeline":
+        this.updateTimeline(newValue);
+        break;
+      case "textures":
+        await this.updateTextures(newValue);
+        break;
       case "alt":
         this.updateAccessibility(newValue);
         break;
       case "playing":
-        if (this.mediaElement?.tagName === "VIDEO") {
+        if (this.#animatedImage) {
+          if (newValue !== "false") {
+            this.#playAnimatedImage();
+          } else {
+            this.#pauseAnimatedImage();
+          }
+        } else if (this.mediaElement?.tagName === "VIDEO") {
           const shouldPlay = newValue !== "false";
           try {
             if (shouldPlay) {
@@ -653,6 +1377,62 @@ class MediaShader extends HTMLElement {
             : Math.max(0, Math.min(1, volumeValue));
         }
         break;
+      case "clock": {
+        // Carry the current time over so the clock continues seamlessly
+        const wallTime = (performance.now() - this.#startTime) / 1000.0;
+        if (newValue === "manual") {
+          this.#manualTime = wallTime;
+        } else {
+          this.#startTime = performance.now() - this.#manualTime * 1000.0;
+        }
+        if (this.#isLoaded) {
+          this.startRenderLoop();
+        }
+        break;
+      }
+      case "time": {
+        // Seek: resume from the frozen time once the attribute is removed
+        const frozen = parseFloat(newValue ?? oldValue);
+        if (!isNaN(frozen)) {
+          this.#manualTime = frozen;
+          this.#startTime = performance.now() - frozen * 1000.0;
+        }
+        if (this.#isLoaded && this.clock === "manual") {
+          this.renderFrame();
+        } else {
+          this.requestRender();
+        }
+        break;
+      }
+      case "controls":
+        this.#updateControls();
+        break;
+      case "fit":
+        // A fitted element takes its shape from the layout, not the media
+        this.style.aspectRatio = "";
+        this.updateCanvasSize();
+        break;
+      case "position":
+        this.requestRender();
+        break;
+      case "render-mode":
+        if (this.#isLoaded) {
+          this.startRenderLoop();
+        }
+        break;
+      case "shared-context":
+        // Move everything over to the other kind of context
+        if (this.#isLoaded) {
+          this.cleanup();
+          this.initializeComponent();
+        }
+        break;
+      case "camera-constraints":
+        // Reopen an active camera with the new constraints
+        if (!this.#srcObject && this.src?.startsWith("camera:")) {
+          await this.loadMedia(this.src);
+        }
+        break;
     }
   }
 
@@ -667,17 +1447,19 @@ class MediaShader extends HTMLElement {
     }
 
     // Get natural dimensions from media if available
-    const naturalWidth =
-      this.mediaElement?.naturalWidth || this.mediaElement?.videoWidth;
-    const naturalHeight =
-      this.mediaElement?.naturalHeight || this.mediaElement?.videoHeight;
+    const { width: naturalWidth, height: naturalHeight } = this.#sourceSize(
+      this.mediaElement ||
+        (this.#sourceObject && this.#sourceDrawable(this.#sourceObject))
+    );
 
     // Store natural dimensions for aspect ratio
     if (naturalWidth && naturalHeight) {
       this.#naturalWidth = naturalWidth;
       this.#naturalHeight = naturalHeight;
-      // Set aspect ratio on the host element
-      this.style.aspectRatio = `${naturalWidth} / ${naturalHeight}`;
+      // Set aspect ratio on the host element, unless the media is fitted
+      if (!this.hasAttribute("fit")) {
+        this.style.aspectRatio = `${naturalWidth} / ${naturalHeight}`;
+      }
     }
 
     let finalWidth = this.#width;
@@ -716,9 +1498,12 @@ class MediaShader extends HTMLElement {
       }
       // If we have multi-pass shaders but no framebuffers, create them now
       else if (this.#isMultiPass && this.programs.length > 1) {
-        this.createFramebuffers(this.programs.length - 1);
+        this.createFramebuffers();
       }
+
+      this.resizeFeedbackBuffers();
     }
+    this.requestRender();
   }
 
   /**
@@ -753,37 +1538,82 @@ class MediaShader extends HTMLElement {
   }
 
   /**
-   * Loads and initializes a new media element (image or video).
-   * @param {string} src - URL of the media to load
+   * Loads and initializes a new media element (image, video or live stream).
+   * @param {string|MediaStream} src - URL of the media to load, 'camera:' to open a camera, or a MediaStream
    * @returns {Promise<void>}
    */
   async loadMedia(src) {
     if (!src) {
+      this.#releaseMediaElement();
+      this.mediaElement = null;
+      this.#stopCameraStream();
+      this.#unwatchStream();
+      this.#detachSource();
       this.#hasTexture = false;
+      this.requestRender();
       return;
     }
 
     if (!this.gl) return;
 
-    const isVideo = /\.(mp4|webm|ogg)$/i.test(src);
+    // Open the camera for 'camera:' sources
+    let cameraStream = null;
+    if (typeof src === "string" && src.startsWith("camera:")) {
+      try {
+        cameraStream = await this.#openCamera(src);
+      } catch (error) {
+        console.error("Error opening camera:", error);
+        this.#hasTexture = false;
+        return;
+      }
+
+      // Drop the stream if the source changed while waiting for permission
+      if (!this.gl || this.#currentSource() !== src) {
+        cameraStream.getTracks().forEach((track) => track.stop());
+        return;
+      }
+      src = cameraStream;
+    }
+
+    const isStream =
+      typeof MediaStream !== "undefined" && src instanceof MediaStream;
+    const isVideo =
+      isStream || (typeof src === "string" && this.#isVideoSource(src));
+
+    // Images that may be animated are fetched once, both for the <img> and
+    // for finding out whether they animate
+    let imageData = null;
+    if (
+      !isVideo &&
+      typeof src === "string" &&
+      MediaShader.#mayBeAnimated(src)
+    ) {
+      imageData = await MediaShader.#fetchImage(src);
+      if (!this.gl || this.#currentSource() !== src) return;
+    }
 
     // Clean up previous media element
-    if (this.mediaElement) {
-      if (this.mediaElement.tagName === "VIDEO") {
-        this.mediaElement.pause();
-        if ("requestVideoFrameCallback" in this.mediaElement) {
-          this.mediaElement.cancelVideoFrameCallback(this.#videoFrameCallback);
-        }
-      }
-      this.mediaElement.remove();
-      this.#hasTexture = false;
+    this.#releaseMediaElement();
+
+    // Stop a camera we opened for the previous source
+    this.#stopCameraStream();
+    this.#cameraStream = cameraStream;
+    this.#unwatchStream();
+    this.#detachSource();
+
+    // Canvases, bitmaps, frames and page elements are sampled in place
+    if (typeof src !== "string" && !isStream) {
+      this.mediaElement = null;
+      this.#attachSource(src);
+      return;
+    }
+
+    if (isStream) {
+      this.#watchStreamTracks(src);
     }
 
     // Create new media element
-    this.mediaElement = document.createElement(isVideo ? "video" : "img");
-    this.mediaElement.crossOrigin = "anonymous";
-    this.mediaElement.style.display = "none";
-    this.shadowRoot.appendChild(this.mediaElement);
+    this.mediaElement = this.#createMediaElement(isVideo);
 
     try {
       await new Promise((resolve, reject) => {
@@ -837,67 +1667,48 @@ class MediaShader extends HTMLElement {
 
           // Define updateVideoTexture function
           const updateVideoTexture = () => {
+            // The video may have been released since the frame was requested
+            if (!this.mediaElement) return;
             if (this.texture && this.mediaElement.readyState >= 2) {
-              this.gl.activeTexture(this.gl.TEXTURE0);
-              this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
-              this.gl.texImage2D(
-                this.gl.TEXTURE_2D,
-                0,
-                this.gl.RGBA,
-                this.gl.RGBA,
-                this.gl.UNSIGNED_BYTE,
-                this.mediaElement
-              );
+              this.#uploadTexture(this.texture, this.mediaElement);
+              this.requestRender();
             }
             if (this.#playing && this.isConnected) {
-              if ("requestVideoFrameCallback" in this.mediaElement) {
-                this.#videoFrameCallback =
-                  this.mediaElement.requestVideoFrameCallback(
-                    updateVideoTexture
-                  );
-              } else {
-                this.#videoFrameCallback =
-                  requestAnimationFrame(updateVideoTexture);
-              }
+              this.#videoFrameCallback = this.#requestVideoFrame(
+                this.mediaElement,
+                updateVideoTexture
+              );
             }
           };
 
           // Set up video texture update using requestVideoFrameCallback if available
-          if ("requestVideoFrameCallback" in this.mediaElement) {
-            this.#videoFrameCallback =
-              this.mediaElement.requestVideoFrameCallback(updateVideoTexture);
-          } else {
-            this.#videoFrameCallback =
-              requestAnimationFrame(updateVideoTexture);
-          }
+          this.#videoFrameCallback = this.#requestVideoFrame(
+            this.mediaElement,
+            updateVideoTexture
+          );
 
           // Add event listeners for play/pause
           this.mediaElement.addEventListener("play", () => {
             this.#playing = true;
             // Restart frame updates
-            if ("requestVideoFrameCallback" in this.mediaElement) {
-              this.#videoFrameCallback =
-                this.mediaElement.requestVideoFrameCallback(updateVideoTexture);
-            } else {
-              this.#videoFrameCallback =
-                requestAnimationFrame(updateVideoTexture);
-            }
+            this.#videoFrameCallback = this.#requestVideoFrame(
+              this.mediaElement,
+              updateVideoTexture
+            );
           });
 
           this.mediaElement.addEventListener("pause", () => {
             this.#playing = false;
             // Cancel frame updates
-            if ("requestVideoFrameCallback" in this.mediaElement) {
-              this.mediaElement.cancelVideoFrameCallback(
-                this.#videoFrameCallback
-              );
-            } else {
-              cancelAnimationFrame(this.#videoFrameCallback);
-            }
+            this.#cancelVideoFrame(this.mediaElement, this.#videoFrameCallback);
           });
 
           // Start loading the video
-          this.mediaElement.src = src;
+          if (isStream) {
+            this.mediaElement.srcObject = src;
+          } else {
+            this.mediaElement.src = src;
+          }
         } else {
           // For images
 
@@ -910,18 +1721,18 @@ class MediaShader extends HTMLElement {
             this.createTexture();
 
             // For images, update the texture immediately
-            this.gl.activeTexture(this.gl.TEXTURE0);
-            this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
-            this.gl.texImage2D(
-              this.gl.TEXTURE_2D,
-              0,
-              this.gl.RGBA,
-              this.gl.RGBA,
-              this.gl.UNSIGNED_BYTE,
-              this.mediaElement
-            );
+            this.#uploadTexture(this.texture, this.mediaElement);
             this.#hasTexture = true;
 
+            // Animated images are then decoded frame by frame, others
+            // never change and don't need uploading again
+            this.#imageAnimation = MediaShader.#mayBeAnimated(src)
+              ? "unknown"
+              : "static";
+            if (imageData) {
+              this.#loadAnimatedImage(imageData, this.mediaElement);
+            }
+
             resolve();
           };
 
@@ -930,7 +1741,10 @@ class MediaShader extends HTMLElement {
           }
 
           this.mediaElement.onerror = reject;
-          this.mediaElement.src = src;
+          if (imageData) {
+            this.#imageObjectURL = URL.createObjectURL(imageData);
+          }
+          this.mediaElement.src = this.#imageObjectURL || src;
         }
       });
 
@@ -942,1034 +1756,3882 @@ class MediaShader extends HTMLElement {
         this.mediaElement.remove();
         this.mediaElement = null;
       }
+      this.#revokeImageURL();
       this.#hasTexture = false;
     }
   }
 
   /**
-   * Creates and initializes a WebGL texture for the media element.
+   * Stops and removes the current <img> or <video>, so a video bound to a
+   * stream no longer plays or uploads frames.
    */
-  createTexture() {
-    if (!this.gl) return;
-
-    if (this.texture) {
-      this.gl.deleteTexture(this.texture);
+  #releaseMediaElement() {
+    this.#stopAnimatedImage();
+    if (this.mediaElement) {
+      if (this.mediaElement.tagName === "VIDEO") {
+        this.mediaElement.pause();
+        this.#cancelVideoFrame(this.mediaElement, this.#videoFrameCallback);
+        this.#videoFrameCallback = null;
+        this.mediaElement.srcObject = null;
+      }
+      this.mediaElement.remove();
+      this.#hasTexture = false;
     }
+    this.#revokeImageURL();
+  }
 
-    this.texture = this.gl.createTexture();
-    this.gl.activeTexture(this.gl.TEXTURE0);
-    this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
-
-    // Set texture parameters
-    this.gl.texParameteri(
-      this.gl.TEXTURE_2D,
-      this.gl.TEXTURE_WRAP_S,
-      this.gl.CLAMP_TO_EDGE
-    );
-    this.gl.texParameteri(
-      this.gl.TEXTURE_2D,
-      this.gl.TEXTURE_WRAP_T,
-      this.gl.CLAMP_TO_EDGE
-    );
-    this.gl.texParameteri(
-      this.gl.TEXTURE_2D,
-      this.gl.TEXTURE_MIN_FILTER,
-      this.gl.LINEAR
-    );
-    this.gl.texParameteri(
-      this.gl.TEXTURE_2D,
-      this.gl.TEXTURE_MAG_FILTER,
-      this.gl.LINEAR
-    );
-
-    if (
-      this.mediaElement?.tagName === "VIDEO" &&
-      this.mediaElement.readyState >= 2
-    ) {
-      this.gl.texImage2D(
-        this.gl.TEXTURE_2D,
-        0,
-        this.gl.RGBA,
-        this.gl.RGBA,
-        this.gl.UNSIGNED_BYTE,
-        this.mediaElement
-      );
-    } else {
-      // Initialize with transparent pixel
-      this.gl.texImage2D(
-        this.gl.TEXTURE_2D,
-        0,
-        this.gl.RGBA,
-        1,
-        1,
-        0,
-        this.gl.RGBA,
-        this.gl.UNSIGNED_BYTE,
-        new Uint8Array([0, 0, 0, 0])
-      );
+  /**
+   * Fetches an image so the <img> and the animation check share one download.
+   * @param {string} src - The image URL
+   * @returns {Promise<Blob|null>} The image, or null if it can't be fetched
+   *   (e.g. cross-origin without CORS headers) and the <img> loads it itself
+   */
+  static async #fetchImage(src) {
+    try {
+      const response = await fetch(src);
+      return response.ok ? await response.blob() : null;
+    } catch (error) {
+      return null;
     }
-
-    this.#hasTexture = true;
   }
 
   /**
-   * Initializes WebGL context, shaders, and buffers.
+   * Releases the object URL of the previous image.
    */
-  initWebGL() {
-    if (!this.gl) return;
-
-    // Flip texture Y coordinate to match OpenGL coordinate system
-    // This makes both v_tex_coord and manual gl_FragCoord calculations consistent
-    this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL, true);
+  #revokeImageURL() {
+    if (this.#imageObjectURL) {
+      URL.revokeObjectURL(this.#imageObjectURL);
+      this.#imageObjectURL = null;
+    }
+  }
 
-    // Get custom vertex shader or use default
-    const customVertexShader = this.getAttribute("vertex-shader");
-    const vertexShaderSource = customVertexShader || this.defaultVertexShader;
+  /**
+   * Finds out whether an image is animated. Animated images (GIF, APNG,
+   * animated WebP or AVIF) are decoded frame by frame with ImageDecoder, so
+   * frames advance at their own durations and follow the playing and loop
+   * attributes like a video. Without ImageDecoder the browser animates the
+   * image and it is uploaded every frame.
+   * @param {Blob} data - The fetched image the <img> shows
+   * @param {HTMLImageElement} image - The loaded image element
+   */
+  async #loadAnimatedImage(data, image) {
+    let sniffed;
+    let decoder = null;
+    try {
+      const bytes = new Uint8Array(await data.arrayBuffer());
+      if (this.mediaElement !== image) return;
 
-    // Create shader program
-    const vertShader = this.createShader(
-      this.gl.VERTEX_SHADER,
-      vertexShaderSource
-    );
-    const fragShader = this.createShader(
-      this.gl.FRAGMENT_SHADER,
-      this.defaultFragmentShader
-    );
+      sniffed = MediaShader.#sniffImage(bytes);
+      if (sniffed.animated === false) {
+        this.#imageAnimation = "static";
+        return;
+      }
 
-    if (!vertShader || !fragShader) {
-      console.error("Failed to create shaders");
-      if (vertShader) this.gl.deleteShader(vertShader);
-      if (fragShader) this.gl.deleteShader(fragShader);
+      const type = sniffed.type || data.type;
+      if (
+        typeof ImageDecoder !== "undefined" &&
+        type &&
+        (await ImageDecoder.isTypeSupported(type))
+      ) {
+        decoder = new ImageDecoder({ data: bytes, type });
+        await decoder.tracks.ready;
+      }
+    } catch (error) {
+      console.warn("Failed to decode animated image:", error);
+      decoder?.close();
       return;
     }
 
-    this.program = this.gl.createProgram();
-    if (!this.program) {
-      console.error("Failed to create shader program");
-      this.gl.deleteShader(vertShader);
-      this.gl.deleteShader(fragShader);
+    // Drop the decoder if the source changed meanwhile
+    if (this.mediaElement !== image) {
+      decoder?.close();
       return;
     }
-
-    this.gl.attachShader(this.program, vertShader);
-    this.gl.attachShader(this.program, fragShader);
-    this.gl.linkProgram(this.program);
-
-    if (!this.gl.getProgramParameter(this.program, this.gl.LINK_STATUS)) {
-      console.error(
-        "Unable to initialize shader program:",
-        this.gl.getProgramInfoLog(this.program)
-      );
-      this.gl.deleteShader(vertShader);
-      this.gl.deleteShader(fragShader);
-      this.gl.deleteProgram(this.program);
-      this.program = null;
+    if (!decoder) {
+      // The browser plays animations ImageDecoder can't decode
+      if (sniffed.animated) {
+        this.#imageAnimation = "animated";
+        this.requestRender();
+      }
+      return;
+    }
+    if (!decoder.tracks.selectedTrack?.animated) {
+      decoder.close();
+      this.#imageAnimation = "static";
       return;
     }
 
-    // After successful linking, we can delete the shader objects
-    this.gl.deleteShader(vertShader);
-    this.gl.deleteShader(fragShader);
+    this.#animatedImage = {
+      decoder,
+      frameIndex: 0,
+      timer: null,
+      decoding: false,
+    };
+    if (this.getAttribute("playing") !== "false") {
+      this.#playAnimatedImage();
+    } else {
+      this.#showAnimatedImageFrame();
+    }
+  }
 
-    // Set up vertex buffer
-    const positions = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
-    const texCoords = new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]); // Changed from [0, 1, 1, 1, 0, 0, 1, 0]
+  /**
+   * Uploads the current frame of the animated image and, while playing,
+   * schedules the next one after the frame's duration.
+   */
+  async #showAnimatedImageFrame() {
+    const animation = this.#animatedImage;
+    if (!animation) return;
 
-    // Create and bind position buffer
-    const positionBuffer = this.gl.createBuffer();
-    if (!positionBuffer) {
-      console.error("Failed to create position buffer");
+    let image;
+    animation.decoding = true;
+    try {
+      ({ image } = await animation.decoder.decode({
+        frameIndex: animation.frameIndex,
+      }));
+    } catch (error) {
+      console.warn("Failed to decode animated image frame:", error);
       return;
+    } finally {
+      animation.decoding = false;
     }
-    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, positionBuffer);
-    this.gl.bufferData(this.gl.ARRAY_BUFFER, positions, this.gl.STATIC_DRAW);
-
-    const aPosition = this.gl.getAttribLocation(this.program, "a_position");
-    this.gl.enableVertexAttribArray(aPosition);
-    this.gl.vertexAttribPointer(aPosition, 2, this.gl.FLOAT, false, 0, 0);
 
-    // Create and bind texture coordinate buffer
-    const texCoordBuffer = this.gl.createBuffer();
-    if (!texCoordBuffer) {
-      console.error("Failed to create texture coordinate buffer");
+    if (this.#animatedImage !== animation || !this.texture) {
+      image.close();
       return;
     }
-    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, texCoordBuffer);
-    this.gl.bufferData(this.gl.ARRAY_BUFFER, texCoords, this.gl.STATIC_DRAW);
-
-    const aTexCoord = this.gl.getAttribLocation(this.program, "a_tex_coord");
-    this.gl.enableVertexAttribArray(aTexCoord);
-    this.gl.vertexAttribPointer(aTexCoord, 2, this.gl.FLOAT, false, 0, 0);
-
-    // Store buffer references for cleanup
-    this.#buffers = {
-      position: positionBuffer,
-      texCoord: texCoordBuffer,
-    };
 
-    // Initialize uniform locations only for built-in uniforms during initialization
-    // Custom uniforms will be handled when the custom shader is loaded
-    this.updateBuiltInUniformLocations();
+    this.#uploadTexture(this.texture, image);
+    this.#hasTexture = true;
+    this.requestRender();
 
-    // Use the program
-    this.gl.useProgram(this.program);
+    // Durations are in microseconds; like browsers, treat tiny ones as 100ms
+    const duration = (image.duration ?? 0) / 1000;
+    image.close();
 
-    // Set up initial texture state
-    const uTexture = this.#uniformLocations.get("u_texture");
-    if (uTexture) {
-      this.gl.uniform1i(uTexture, 0);
+    if (this.#playing) {
+      animation.timer = setTimeout(
+        () => this.#advanceAnimatedImage(),
+        duration > 10 ? duration : 100
+      );
     }
   }
 
   /**
-   * Creates and compiles a WebGL shader.
-   * @param {number} type - The shader type (VERTEX_SHADER or FRAGMENT_SHADER)
-   * @param {string} source - The GLSL source code
-   * @returns {WebGLShader|null} The compiled shader or null if compilation failed
+   * Reads the format of an image from its bytes and whether it is animated:
+   * a GIF with more than one frame, a PNG with an acTL chunk, a WebP with the
+   * animation flag or an AVIF image sequence.
+   * @param {Uint8Array} bytes - The image file
+   * @returns {{type: string|null, animated: boolean|null}} The MIME type and
+   *   whether the image animates, null when the format isn't recognized
    */
-  createShader(type, source) {
-    if (!this.gl) return null;
+  static #sniffImage(bytes) {
+    const ascii = (start, length) =>
+      String.fromCharCode(...bytes.subarray(start, start + length));
+    const uint32 = (offset) =>
+      new DataView(bytes.buffer, bytes.byteOffset).getUint32(offset);
+
+    if (ascii(0, 4) === "GIF8") {
+      return {
+        type: "image/gif",
+        animated: MediaShader.#gifFrameCount(bytes) > 1,
+      };
+    }
 
-    const shader = this.gl.createShader(type);
-    if (!shader) {
-      console.error("Failed to create shader");
-      return null;
+    if (ascii(1, 3) === "PNG") {
+      // Animation control comes before the first image data
+      for (let offset = 8; offset + 8 <= bytes.length; ) {
+        const chunk = ascii(offset + 4, 4);
+        if (chunk === "acTL") return { type: "image/png", animated: true };
+        if (chunk === "IDAT") break;
+        offset += 12 + uint32(offset);
+      }
+      return { type: "image/png", animated: false };
     }
 
-    this.gl.shaderSource(shader, source);
-    this.gl.compileShader(shader);
+    if (ascii(0, 4) === "RIFF" && ascii(8, 4) === "WEBP") {
+      return {
+        type: "image/webp",
+        animated: ascii(12, 4) === "VP8X" && (bytes[20] & 0x02) !== 0,
+      };
+    }
 
-    if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-      console.error("Shader compile error:", this.gl.getShaderInfoLog(shader));
-      console.error("Shader source:", source);
-      this.gl.deleteShader(shader);
-      return null;
+    if (ascii(4, 4) === "ftyp") {
+      const size = Math.min(uint32(0), bytes.length);
+      const brands = [ascii(8, 4)];
+      for (let offset = 16; offset + 4 <= size; offset += 4) {
+        brands.push(ascii(offset, 4));
+      }
+      if (brands.includes("avis"))
+        return { type: "image/avif", animated: true };
+      if (brands.includes("avif"))
+        return { type: "image/avif", animated: false };
     }
 
-    return shader;
+    return { type: null, animated: null };
   }
 
   /**
-   * Creates framebuffers for multi-pass rendering.
-   * @param {number} count - Number of framebuffers to create
+   * Counts the frames of a GIF, stopping at the second.
+   * @param {Uint8Array} bytes - The GIF file
+   * @returns {number} 0, 1 or 2 frames
    */
-  createFramebuffers(count) {
-    if (!this.gl) return;
+  static #gifFrameCount(bytes) {
+    const colorTableSize = (packed) =>
+      packed & 0x80 ? 3 << ((packed & 0x07) + 1) : 0;
+    const skipSubBlocks = (offset) => {
+      while (offset < bytes.length && bytes[offset] !== 0) {
+        offset += bytes[offset] + 1;
+      }
+      return offset + 1;
+    };
 
-    // Ensure canvas has valid dimensions before creating framebuffers
-    if (this.canvas.width === 0 || this.canvas.height === 0) {
-      this.updateCanvasSize();
-      // If still zero after update, don't create framebuffers
-      if (this.canvas.width === 0 || this.canvas.height === 0) {
-        console.warn("Cannot create framebuffers: canvas has zero dimensions");
-        return;
+    let frames = 0;
+    let offset = 13 + colorTableSize(bytes[10]);
+    while (offset < bytes.length && frames < 2) {
+      if (bytes[offset] === 0x21) {
+        // Extension: label, then data sub-blocks
+        offset = skipSubBlocks(offset + 2);
+      } else if (bytes[offset] === 0x2c) {
+        // Image descriptor, local color table, LZW code size, image data
+        frames++;
+        offset += 10 + colorTableSize(bytes[offset + 9]);
+        offset = skipSubBlocks(offset + 1);
+      } else {
+        // Trailer or truncated data
+        break;
       }
     }
+    return frames;
+  }
 
-    // Clean up existing framebuffers
-    this.cleanupFramebuffers();
+  /**
+   * Checks whether an image URL may point to an animated format.
+   * @param {string} src - The image URL
+   * @returns {boolean} True for GIF, PNG, WebP and AVIF images and blob URLs
+   */
+  static #mayBeAnimated(src) {
+    return /\.(gif|png|apng|webp|avif)([?#]|$)|^data:image\/(gif|png|apng|webp|avif)|^blob:/i.test(
+      src
+    );
+  }
 
-    for (let i = 0; i < count; i++) {
-      const framebuffer = this.gl.createFramebuffer();
-      const texture = this.gl.createTexture();
+  /**
+   * Moves the animated image to its next frame, looping unless loop="false".
+   */
+  #advanceAnimatedImage() {
+    const animation = this.#animatedImage;
+    if (!animation) return;
+    animation.timer = null;
 
-      if (!framebuffer || !texture) {
-        console.error("Failed to create framebuffer or texture");
-        continue;
+    const { decoder } = animation;
+    let frameIndex = animation.frameIndex + 1;
+    if (
+      decoder.complete &&
+      frameIndex >= decoder.tracks.selectedTrack.frameCount
+    ) {
+      if (this.getAttribute("loop") === "false") {
+        this.#playing = false;
+        return;
       }
+      frameIndex = 0;
+    }
 
-      // Configure the texture
-      this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
-      this.gl.texImage2D(
-        this.gl.TEXTURE_2D,
-        0,
-        this.gl.RGBA,
-        this.canvas.width,
-        this.canvas.height,
-        0,
-        this.gl.RGBA,
-        this.gl.UNSIGNED_BYTE,
-        null
-      );
+    animation.frameIndex = frameIndex;
+    this.#showAnimatedImageFrame();
+  }
 
-      // Set texture parameters
-      this.gl.texParameteri(
-        this.gl.TEXTURE_2D,
-        this.gl.TEXTURE_MIN_FILTER,
-        this.gl.LINEAR
-      );
-      this.gl.texParameteri(
-        this.gl.TEXTURE_2D,
-        this.gl.TEXTURE_MAG_FILTER,
-        this.gl.LINEAR
-      );
-      this.gl.texParameteri(
-        this.gl.TEXTURE_2D,
-        this.gl.TEXTURE_WRAP_S,
-        this.gl.CLAMP_TO_EDGE
-      );
-      this.gl.texParameteri(
-        this.gl.TEXTURE_2D,
-        this.gl.TEXTURE_WRAP_T,
-        this.gl.CLAMP_TO_EDGE
-      );
+  /**
+   * Starts or resumes playback of the animated image.
+   */
+  #playAnimatedImage() {
+    const animation = this.#animatedImage;
+    if (!animation) return;
 
-      // Attach texture to framebuffer
-      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, framebuffer);
-      this.gl.framebufferTexture2D(
-        this.gl.FRAMEBUFFER,
-        this.gl.COLOR_ATTACHMENT0,
-        this.gl.TEXTURE_2D,
-        texture,
-        0
-      );
+    this.#playing = true;
 
-      // Check framebuffer completeness
-      if (
-        this.gl.checkFramebufferStatus(this.gl.FRAMEBUFFER) !==
-        this.gl.FRAMEBUFFER_COMPLETE
-      ) {
-        console.error(`Framebuffer ${i} is not complete`);
-        this.gl.deleteFramebuffer(framebuffer);
-        this.gl.deleteTexture(texture);
-        continue;
-      }
+    // A frame that is still decoding schedules the next one itself
+    if (animation.timer !== null || animation.decoding) return;
 
-      this.#framebuffers.push(framebuffer);
-      this.#framebufferTextures.push(texture);
+    // Restart from the beginning when a non-looping image has ended
+    const { decoder } = animation;
+    if (
+      decoder.complete &&
+      animation.frameIndex >= decoder.tracks.selectedTrack.frameCount - 1
+    ) {
+      animation.frameIndex = 0;
     }
-
-    // Unbind framebuffer
-    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+    this.#showAnimatedImageFrame();
   }
 
   /**
-   * Cleans up framebuffers and their textures.
+   * Pauses the animated image on its current frame.
    */
-  cleanupFramebuffers() {
-    if (!this.gl) return;
+  #pauseAnimatedImage() {
+    if (!this.#animatedImage) return;
 
-    // Delete framebuffers
-    for (const framebuffer of this.#framebuffers) {
-      this.gl.deleteFramebuffer(framebuffer);
-    }
-    this.#framebuffers = [];
+    this.#playing = false;
+    clearTimeout(this.#animatedImage.timer);
+    this.#animatedImage.timer = null;
+  }
 
-    // Delete framebuffer textures
-    for (const texture of this.#framebufferTextures) {
-      this.gl.deleteTexture(texture);
-    }
-    this.#framebufferTextures = [];
+  /**
+   * Stops the animated image and releases its decoder.
+   */
+  #stopAnimatedImage() {
+    if (!this.#animatedImage) return;
+
+    clearTimeout(this.#animatedImage.timer);
+    this.#animatedImage.decoder.close();
+    this.#animatedImage = null;
   }
 
   /**
-   * Resizes framebuffers when canvas size changes.
+   * Gets the source to display, in order of precedence: srcObject,
+   * the element matched by source-element, then the src attribute.
+   * @returns {string|Object|null} The current source
    */
-  resizeFramebuffers() {
-    if (!this.gl || this.#framebuffers.length === 0) return;
+  #currentSource() {
+    if (this.#srcObject) return this.#srcObject;
 
-    // Resize each framebuffer texture
-    for (let i = 0; i < this.#framebufferTextures.length; i++) {
-      this.gl.bindTexture(this.gl.TEXTURE_2D, this.#framebufferTextures[i]);
-      this.gl.texImage2D(
-        this.gl.TEXTURE_2D,
-        0,
-        this.gl.RGBA,
-        this.canvas.width,
-        this.canvas.height,
-        0,
-        this.gl.RGBA,
-        this.gl.UNSIGNED_BYTE,
-        null
-      );
+    const element = this.#sourceElement();
+    if (element) return element;
+
+    if (this.getAttribute("source-element")) {
+      this.#waitForSourceElement();
     }
+    return this.getAttribute("src");
+  }
 
-    // Unbind texture
-    this.gl.bindTexture(this.gl.TEXTURE_2D, null);
+  /**
+   * Finds the element matched by the source-element selector.
+   * @returns {Element|null} The element, or null if there is none
+   */
+  #sourceElement() {
+    const selector = this.getAttribute("source-element");
+    if (!selector) return null;
+
+    const root = this.getRootNode();
+    return (
+      (root.querySelector && root.querySelector(selector)) ||
+      document.querySelector(selector)
+    );
   }
 
   /**
-   * Updates the fragment shader with new source code.
-   * @param {string|string[]} fragmentShaderSource - The new GLSL fragment shader code (string for single-pass, array for multi-pass)
+   * Watches the page while the source-element selector matches nothing and
+   * switches to the element once it appears. Until then src is shown.
    */
-  updateShader(fragmentShaderSource) {
-    if (!this.gl) return;
+  #waitForSourceElement() {
+    if (this.#sourceElementObserver || !this.isConnected) return;
 
-    // Skip empty or whitespace-only strings
-    if (!fragmentShaderSource || fragmentShaderSource.trim() === "") {
-      console.warn("Empty fragment shader source provided");
-      return;
-    }
+    const selector = this.getAttribute("source-element");
+    console.warn(`source-element '${selector}' not found, showing src`);
 
-    try {
-      // Try to parse as JSON first to detect if it's an array
-      const parsed = JSON.parse(fragmentShaderSource);
-      if (Array.isArray(parsed)) {
-        // Multi-pass shaders
-        this.updateMultiPassShaders(parsed);
-        return;
-      }
-    } catch (e) {
-      // Not JSON, treat as single shader string
-    }
+    this.#sourceElementObserver = new MutationObserver(() => {
+      if (this.getAttribute("source-element") !== selector) return;
+      if (!this.#sourceElement()) return;
 
-    // Single-pass shader
-    this.#isMultiPass = false;
-    this.cleanupFramebuffers();
+      this.#sourceElementObserver.disconnect();
+      this.#sourceElementObserver = null;
+      if (!this.#srcObject) {
+        this.loadMedia(this.#currentSource());
+      }
+    });
 
-    // Clean up multi-pass programs
-    for (const program of this.programs) {
-      this.gl.deleteProgram(program);
+    const options = { childList: true, subtree: true, attributes: true };
+    const root = this.getRootNode();
+    if (root !== document) {
+      this.#sourceElementObserver.observe(root, options);
     }
-    this.programs = [];
-    this.#passUniformLocations = [];
-
-    // Get custom vertex shader or use default
-    const customVertexShader = this.getAttribute("vertex-shader");
-    const vertexShaderSource = customVertexShader || this.defaultVertexShader;
-
-    // Create new shader program
-    const vertShader = this.createShader(
-      this.gl.VERTEX_SHADER,
-      vertexShaderSource
-    );
-    const fragShader = this.createShader(
-      this.gl.FRAGMENT_SHADER,
-      fragmentShaderSource
-    );
+    this.#sourceElementObserver.observe(document, options);
+  }
 
-    if (!vertShader || !fragShader) {
-      console.error("Failed to create shaders");
+  /**
+   * Starts sampling a drawable source owned by the page and re-uploads it
+   * whenever it signals a change: new video frames, image loads, and
+   * `render` events of another media-shader. Canvases have no change signal
+   * and are re-uploaded every frame; bitmaps and frames are uploaded once.
+   * @param {CanvasImageSource|VideoFrame|MediaShader} source - The source to sample
+   */
+  #attachSource(source) {
+    if (source === this) {
+      console.error("A media-shader cannot use itself as its source");
       return;
     }
 
-    const newProgram = this.gl.createProgram();
-    this.gl.attachShader(newProgram, vertShader);
-    this.gl.attachShader(newProgram, fragShader);
-    this.gl.linkProgram(newProgram);
+    this.#sourceObject = source;
+    this.createTexture();
 
-    if (!this.gl.getProgramParameter(newProgram, this.gl.LINK_STATUS)) {
-      console.error(
-        "Unable to initialize shader program:",
-        this.gl.getProgramInfoLog(newProgram)
-      );
-      return;
-    }
+    const upload = () => {
+      if (!this.gl || this.#sourceObject !== source) return;
+      this.#uploadSource();
+    };
 
-    // Clean up old program and switch to new one
-    if (this.program) {
-      this.gl.deleteProgram(this.program);
+    if (source instanceof MediaShader) {
+      source.addEventListener("render", upload);
+      this.#detachSourceObject = () =>
+        source.removeEventListener("render", upload);
+    } else if (source instanceof HTMLVideoElement) {
+      let handle = null;
+      const onFrame = () => {
+        upload();
+        handle = this.#requestVideoFrame(source, onFrame);
+      };
+      handle = this.#requestVideoFrame(source, onFrame);
+      this.#detachSourceObject = () => this.#cancelVideoFrame(source, handle);
+    } else if (source instanceof HTMLImageElement) {
+      source.addEventListener("load", upload);
+      this.#detachSourceObject = () =>
+        source.removeEventListener("load", upload);
     }
-    this.program = newProgram;
 
-    // Update uniform locations for the new program
-    this.updateUniformLocations();
+    upload();
+    this.startRenderLoop();
+  }
 
-    // Reapply current uniforms
-    this.applyUniforms();
+  /**
+   * Stops sampling the current page-owned source.
+   */
+  #detachSource() {
+    if (this.#detachSourceObject) {
+      this.#detachSourceObject();
+      this.#detachSourceObject = null;
+    }
+    this.#sourceObject = null;
   }
 
   /**
-   * Updates uniform values from a JSON string.
-   * @param {string} uniformsStr - JSON string containing uniform values (object for single-pass, array for multi-pass)
+   * Uploads the current contents of the page-owned source into the media texture.
    */
-  updateUniforms(uniformsStr) {
-    try {
-      const parsed = uniformsStr ? JSON.parse(uniformsStr) : {};
+  #uploadSource() {
+    const drawable = this.#sourceDrawable(this.#sourceObject);
+    const { width, height } = this.#sourceSize(drawable);
 
-      if (Array.isArray(parsed)) {
-        // Multi-pass uniforms
-        this.#passUniforms = parsed;
-        this.#uniforms = {}; // Clear global uniforms when using per-pass uniforms
-        console.log("updateUniforms (multi-pass)", this.#passUniforms);
+    // Skip sources with nothing to show yet (unloaded images, empty videos)
+    if (!drawable || !width || !height) return;
+    if (drawable instanceof HTMLVideoElement && drawable.readyState < 2) {
+      return;
+    }
 
-        // Update uniform locations and apply uniforms for multi-pass
-        if (this.#isMultiPass && this.programs.length > 0) {
-          this.updatePassUniformLocations();
-        }
-      } else {
-        // Single-pass uniforms
-        this.#uniforms = parsed;
-        this.#passUniforms = []; // Clear per-pass uniforms when using global uniforms
-        console.log("updateUniforms (single-pass)", this.#uniforms);
+    try {
+      this.#uploadTexture(this.texture, drawable);
+      this.#hasTexture = true;
+      this.requestRender();
+    } catch (e) {
+      console.warn("Failed to update texture:", e);
+      this.#hasTexture = false;
+      return;
+    }
 
-        // If we have an active program, update the uniform locations and apply uniforms
-        if (this.program) {
-          this.updateUniformLocations();
-          this.applyUniforms();
-        }
-      }
-    } catch (error) {
-      console.error("Error parsing uniforms JSON:", error);
+    if (width !== this.#naturalWidth || height !== this.#naturalHeight) {
+      this.updateCanvasSize();
     }
   }
 
   /**
-   * Updates multi-pass shader programs from an array of shaders.
-   * @param {string[]} shaders - Array of fragment shader strings
+   * Gets the object to upload for a source, resolving media-shader elements to their canvas.
+   * @param {Object|null} source - The source object
+   * @returns {TexImageSource|null} The drawable to upload
    */
-  updateMultiPassShaders(shaders) {
-    if (!Array.isArray(shaders) || shaders.length === 0) {
-      console.error("fragment-shaders must be a non-empty array");
-      return;
-    }
+  #sourceDrawable(source) {
+    return source instanceof MediaShader ? source.canvas : source;
+  }
 
-    console.log(`Setting up multi-pass shaders: ${shaders.length} passes`);
-    this.#fragmentShaders = shaders;
-    this.#isMultiPass = true;
+  /**
+   * Gets the natural size of a drawable.
+   * @param {Object|null} drawable - An image, video, canvas, bitmap or frame
+   * @returns {{width: number, height: number}} The size, zero when unknown
+   */
+  #sourceSize(drawable) {
+    if (!drawable) return { width: 0, height: 0 };
+
+    return {
+      width:
+        drawable.naturalWidth ||
+        drawable.videoWidth ||
+        drawable.displayWidth ||
+        drawable.width ||
+        0,
+      height:
+        drawable.naturalHeight ||
+        drawable.videoHeight ||
+        drawable.displayHeight ||
+        drawable.height ||
+        0,
+    };
+  }
 
-    // Clean up existing single-pass program
-    if (this.program) {
-      this.gl.deleteProgram(this.program);
-      this.program = null;
-    }
+  /**
+   * Opens a camera stream for a 'camera:' source.
+   * `camera:user` and `camera:environment` select the facing mode; the
+   * `camera-constraints` attribute overrides the getUserMedia constraints.
+   * @param {string} src - The 'camera:' source
+   * @returns {Promise<MediaStream>} The camera stream
+   */
+  async #openCamera(src) {
+    const facingMode = src.slice("camera:".length);
+    let constraints = {
+      video: facingMode ? { facingMode } : true,
+      audio: false,
+    };
 
-    // Clean up existing multi-pass programs
-    for (const program of this.programs) {
-      if (this.gl) {
-        this.gl.deleteProgram(program);
+    const constraintsAttr = this.getAttribute("camera-constraints");
+    if (constraintsAttr) {
+      try {
+        constraints = JSON.parse(constraintsAttr);
+      } catch (error) {
+        console.error("Error parsing camera-constraints JSON:", error);
       }
     }
-    this.programs = [];
-    this.#passUniformLocations = [];
 
-    if (!this.gl) return;
+    return navigator.mediaDevices.getUserMedia(constraints);
+  }
 
-    // Get custom vertex shader or use default
-    const customVertexShader = this.getAttribute("vertex-shader");
-    const vertexShaderSource = customVertexShader || this.defaultVertexShader;
+  /**
+   * Stops the camera stream opened for a 'camera:' source, if any.
+   * Streams passed in through srcObject belong to the page and are left running.
+   */
+  #stopCameraStream() {
+    if (!this.#cameraStream) return;
 
-    // Create shader programs for each pass
-    for (let i = 0; i < shaders.length; i++) {
-      const vertShader = this.createShader(
-        this.gl.VERTEX_SHADER,
-        vertexShaderSource
-      );
-      const fragShader = this.createShader(this.gl.FRAGMENT_SHADER, shaders[i]);
+    this.#cameraStream.getTracks().forEach((track) => track.stop());
+    this.#cameraStream = null;
+  }
 
-      if (!vertShader || !fragShader) {
-        console.error(`Failed to create shaders for pass ${i}`);
-        if (vertShader) this.gl.deleteShader(vertShader);
-        if (fragShader) this.gl.deleteShader(fragShader);
-        continue;
+  /**
+   * Watches the video tracks of a stream and clears the texture once they have all ended.
+   * @param {MediaStream} stream - The stream being displayed
+   */
+  #watchStreamTracks(stream) {
+    this.#unwatchStream();
+    this.#streamWatch = new AbortController();
+    const { signal } = this.#streamWatch;
+
+    const onEnded = () => {
+      // Ignore streams that have since been replaced
+      if (this.mediaElement?.srcObject !== stream) return;
+      if (
+        stream.getVideoTracks().some((track) => track.readyState === "live")
+      ) {
+        return;
       }
 
-      const program = this.gl.createProgram();
-      if (!program) {
-        console.error(`Failed to create program for pass ${i}`);
-        this.gl.deleteShader(vertShader);
-        this.gl.deleteShader(fragShader);
-        continue;
-      }
-
-      this.gl.attachShader(program, vertShader);
-      this.gl.attachShader(program, fragShader);
-      this.gl.linkProgram(program);
+      this.#hasTexture = false;
+      this.dispatchEvent(
+        new CustomEvent("streamended", { detail: { stream } })
+      );
+    };
 
-      if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
-        console.error(
-          `Failed to link program for pass ${i}:`,
-          this.gl.getProgramInfoLog(program)
-        );
-        this.gl.deleteShader(vertShader);
-        this.gl.deleteShader(fragShader);
-        this.gl.deleteProgram(program);
-        continue;
-      } else {
-        console.log(`Successfully created program for pass ${i}`);
-      }
+    for (const track of stream.getVideoTracks()) {
+      track.addEventListener("ended", onEnded, { once: true, signal });
+    }
+    stream.addEventListener(
+      "addtrack",
+      (event) => {
+        if (event.track.kind === "video") {
+          event.track.addEventListener("ended", onEnded, {
+            once: true,
+            signal,
+          });
+        }
+      },
+      { signal }
+    );
+  }
 
-      // Clean up shaders after linking
-      this.gl.deleteShader(vertShader);
-      this.gl.deleteShader(fragShader);
+  /**
+   * Removes the listeners #watchStreamTracks added to the displayed stream.
+   */
+  #unwatchStream() {
+    this.#streamWatch?.abort();
+    this.#streamWatch = null;
+  }
 
-      this.programs.push(program);
-      this.#passUniformLocations.push(new Map());
+  /**
+   * Updates the additional input textures from a JSON string.
+   * Textures whose source is unchanged keep their current upload.
+   * @param {string} texturesStr - JSON object mapping sampler uniform names to media URLs
+   * @returns {Promise<void>}
+   */
+  async updateTextures(texturesStr) {
+    let parsed;
+    try {
+      parsed = texturesStr ? JSON.parse(texturesStr) : {};
+    } catch (error) {
+      console.error("Error parsing textures JSON:", error);
+      return;
     }
 
-    // Create framebuffers for intermediate passes (need one less than number of passes)
-    if (this.programs.length > 1) {
-      this.createFramebuffers(this.programs.length - 1);
-    }
+    if (!this.gl) return;
 
-    // Update uniform locations for all passes
-    this.updatePassUniformLocations();
+    // Drop textures that were removed or point at a different source
+    for (const [name, entry] of this.#textures) {
+      if (parsed[name] !== entry.src) {
+        this.#deleteInputTexture(name);
+      }
+    }
 
-    console.log(
-      `Created ${this.programs.length} shader programs for multi-pass rendering`
-    );
+    const loads = Object.entries(parsed)
+      .filter(([name]) => !this.#textures.has(name))
+      .map(([name, src]) => this.loadTexture(name, src));
 
-    // If no programs were successfully created, reset to single-pass mode
-    if (this.programs.length === 0) {
-      console.warn(
-        "No shader programs were successfully created, resetting to single-pass mode"
-      );
-      this.#isMultiPass = false;
-      this.#fragmentShaders = [];
-      return;
-    }
+    this.#refreshUniformLocations();
+    await Promise.all(loads);
   }
 
   /**
-   * Updates uniform locations for all passes.
+   * Loads an additional image or video texture bound to a sampler uniform.
+   * The texture gets the next free texture unit and its natural size is
+   * available to shaders as `<name>_resolution`.
+   * @param {string} name - The sampler uniform name, e.g. 'u_noise'
+   * @param {string} src - URL of the image or video to load
+   * @returns {Promise<void>}
    */
-  updatePassUniformLocations() {
-    if (!this.gl || !this.#isMultiPass) return;
-
-    // Update uniform locations for each pass
-    for (let passIndex = 0; passIndex < this.programs.length; passIndex++) {
-      const program = this.programs[passIndex];
-      const uniformLocations = this.#passUniformLocations[passIndex];
+  async loadTexture(name, src) {
+    if (!this.gl || !name || !src) return;
+
+    this.#deleteInputTexture(name);
+
+    const isVideo = this.#isVideoSource(src);
+    const entry = {
+      src,
+      element: this.#createMediaElement(isVideo),
+      texture: this.#createMediaTexture(),
+      width: 0,
+      height: 0,
+      frameCallback: null,
+    };
+    this.#textures.set(name, entry);
+    this.#refreshUniformLocations();
 
-      if (!uniformLocations) continue;
+    const { element } = entry;
 
-      uniformLocations.clear();
+    try {
+      await new Promise((resolve, reject) => {
+        element.addEventListener(
+          isVideo ? "loadeddata" : "load",
+          () => resolve(),
+          { once: true }
+        );
+        element.addEventListener("error", reject, { once: true });
 
-      // Get locations for built-in uniforms
-      const builtInUniforms = [
-        "u_texture",
-        "u_resolution",
-        "u_time",
-        "u_mouse",
-        "u_has_texture",
-      ];
-      for (const uniformName of builtInUniforms) {
-        const location = this.gl.getUniformLocation(program, uniformName);
-        if (location !== null) {
-          uniformLocations.set(uniformName, location);
+        if (isVideo) {
+          element.muted = true;
+          element.loop = true;
+          element.playsInline = true;
         }
-      }
+        element.src = src;
+      });
+    } catch (error) {
+      console.error(`Error loading texture '${name}':`, error);
+      this.#deleteInputTexture(name);
+      return;
+    }
 
-      // Get locations for global uniforms
-      for (const uniformName of Object.keys(this.#uniforms)) {
-        const location = this.gl.getUniformLocation(program, uniformName);
-        if (location !== null) {
-          uniformLocations.set(uniformName, location);
-        }
-      }
+    // Bail out if the texture was replaced or the context torn down meanwhile
+    if (this.#textures.get(name) !== entry || !this.gl) return;
 
-      // Get locations for pass-specific uniforms
-      if (this.#passUniforms[passIndex]) {
-        for (const uniformName of Object.keys(this.#passUniforms[passIndex])) {
-          const location = this.gl.getUniformLocation(program, uniformName);
-          if (location !== null) {
-            uniformLocations.set(uniformName, location);
-          }
+    entry.width = element.naturalWidth || element.videoWidth;
+    entry.height = element.naturalHeight || element.videoHeight;
+    this.#uploadTexture(entry.texture, element);
+    this.requestRender();
+
+    if (isVideo) {
+      const updateVideoTexture = () => {
+        if (this.#textures.get(name) !== entry || !this.gl) return;
+        if (element.readyState >= 2) {
+          this.#uploadTexture(entry.texture, element);
+          this.requestRender();
         }
+        entry.frameCallback = this.#requestVideoFrame(
+          element,
+          updateVideoTexture
+        );
+      };
+
+      entry.frameCallback = this.#requestVideoFrame(
+        element,
+        updateVideoTexture
+      );
+
+      try {
+        await element.play();
+      } catch (e) {
+        console.warn(`Texture '${name}' video play failed:`, e);
       }
     }
   }
 
   /**
-   * Updates the locations of built-in uniforms only (used during initialization).
+   * Deletes an additional input texture and its media element.
+   * @param {string} name - The sampler uniform name of the texture
    */
-  updateBuiltInUniformLocations() {
-    // Only get locations for built-in uniforms during initialization
-    const builtInUniforms = [
-      "u_resolution",
-      "u_texture",
-      "u_time",
-      "u_mouse",
-      "u_has_texture",
-    ];
+  #deleteInputTexture(name) {
+    const entry = this.#textures.get(name);
+    if (!entry) return;
 
-    for (const uniformName of builtInUniforms) {
-      const location = this.gl.getUniformLocation(this.program, uniformName);
-      if (location !== null) {
-        this.#uniformLocations.set(uniformName, location);
-      }
+    if (entry.element.tagName === "VIDEO") {
+      entry.element.pause();
+      this.#cancelVideoFrame(entry.element, entry.frameCallback);
+    }
+    entry.element.remove();
+
+    if (this.gl) {
+      this.gl.deleteTexture(entry.texture);
     }
+    this.#textures.delete(name);
   }
 
   /**
-   * Updates the locations of uniforms in the shader program.
+   * Binds the additional input textures a program samples.
+   * @param {Map} uniformLocations - The uniform locations for the program
+   * @param {number} unit - The first free texture unit
+   * @param {Object} [inputs={}] - Samplers the pass already bound to media or passes
+   * @returns {number} The next free texture unit
    */
-  updateUniformLocations() {
-    this.#uniformLocations.clear();
+  #bindInputTextures(uniformLocations, unit, inputs = {}) {
+    for (const [name, entry] of this.#textures) {
+      const location = uniformLocations.get(name);
+      if (!location) continue;
 
-    // Get locations for all uniforms
-    for (const name of Object.keys(this.#uniforms)) {
-      const location = this.gl.getUniformLocation(this.program, name);
-      if (location !== null) {
-        this.#uniformLocations.set(name, location);
-      } else {
-        // Only warn about missing uniforms if we're not using the default shader
-        // During initialization, uniforms may not exist in the default shader
-        const isDefaultShader =
-          this.fragmentShader === this.defaultFragmentShader ||
-          !this.getAttribute("fragment-shader");
-        if (!isDefaultShader) {
-          console.warn(`Uniform '${name}' not found in shader program`);
-        }
+      this.gl.activeTexture(this.gl.TEXTURE0 + unit);
+      this.gl.bindTexture(this.gl.TEXTURE_2D, entry.texture);
+      this.gl.uniform1i(location, unit);
+      unit++;
+
+      const uResolution = uniformLocations.get(`${name}_resolution`);
+      if (uResolution) {
+        this.gl.uniform2f(uResolution, entry.width, entry.height);
       }
     }
 
-    // Also get locations for built-in uniforms
-    const uResolution = this.gl.getUniformLocation(
-      this.program,
-      "u_resolution"
+    // Shadertoy channels nothing is bound to read transparent black, as on
+    // Shadertoy, rather than defaulting to the media on unit 0
+    const channels = ["iChannel1", "iChannel2", "iChannel3"].filter(
+      (name) =>
+        uniformLocations.has(name) &&
+        !this.#textures.has(name) &&
+        !(name in inputs)
     );
-    if (uResolution !== null) {
-      this.#uniformLocations.set("u_resolution", uResolution);
+    if (channels.length > 0) {
+      this.gl.activeTexture(this.gl.TEXTURE0 + unit);
+      this.#blankTexture ??= this.createDummyTexture();
+      this.gl.bindTexture(this.gl.TEXTURE_2D, this.#blankTexture);
+      for (const name of channels) {
+        this.gl.uniform1i(uniformLocations.get(name), unit);
+      }
+      unit++;
     }
 
-    const uTexture = this.gl.getUniformLocation(this.program, "u_texture");
-    if (uTexture !== null) {
-      this.#uniformLocations.set("u_texture", uTexture);
-    }
+    this.gl.activeTexture(this.gl.TEXTURE0);
+    return unit;
+  }
 
-    // Add new built-in uniform locations
-    const uTime = this.gl.getUniformLocation(this.program, "u_time");
-    if (uTime !== null) {
-      this.#uniformLocations.set("u_time", uTime);
+  /**
+   * Looks up the sampler and resolution uniforms of the additional input textures.
+   * @param {WebGLProgram} program - The shader program
+   * @param {Map} uniformLocations - The map to store locations in
+   */
+  #updateTextureUniformLocations(program, uniformLocations) {
+    for (const name of this.#textures.keys()) {
+      for (const uniformName of [name, `${name}_resolution`]) {
+        const location = this.gl.getUniformLocation(program, uniformName);
+        if (location !== null) {
+          uniformLocations.set(uniformName, location);
+        }
+      }
     }
+  }
 
-    const uMouse = this.gl.getUniformLocation(this.program, "u_mouse");
-    if (uMouse !== null) {
-      this.#uniformLocations.set("u_mouse", uMouse);
-    }
+  /**
+   * Refreshes uniform locations for the active program(s).
+   */
+  #refreshUniformLocations() {
+    if (!this.gl) return;
 
-    // Add new built-in uniform locations
-    const uHasTexture = this.gl.getUniformLocation(
-      this.program,
-      "u_has_texture"
-    );
-    if (uHasTexture !== null) {
-      this.#uniformLocations.set("u_has_texture", uHasTexture);
+    if (this.#isMultiPass && this.programs.length > 0) {
+      this.updatePassUniformLocations();
+    } else if (this.program) {
+      this.updateUniformLocations();
     }
   }
 
   /**
-   * Applies current uniform values to the shader program.
+   * Checks whether a media URL points at a video file.
+   * @param {string} src - The media URL
+   * @returns {boolean} True for video URLs
    */
-  applyUniforms() {
-    if (!this.gl || !this.program) return;
-
-    this.gl.useProgram(this.program);
-
-    // Apply each uniform based on its type
-    for (const [name, value] of Object.entries(this.#uniforms)) {
-      const location = this.#uniformLocations.get(name);
-      if (location === undefined) {
-        //console.warn(`No location found for uniform '${name}'`);
-        continue;
-      }
+  #isVideoSource(src) {
+    return /\.(mp4|webm|ogg)$/i.test(src);
+  }
 
-      if (Array.isArray(value)) {
-        // Check if this is an array of arrays (uniform array) vs flat array (single vector)
-        let isUniformArray = value.every((item) => Array.isArray(item));
+  /**
+   * Creates a hidden media element inside the shadow root.
+   * @param {boolean} isVideo - Whether to create a video or an image element
+   * @returns {HTMLVideoElement|HTMLImageElement} The new media element
+   */
+  #createMediaElement(isVideo) {
+    const element = document.createElement(isVideo ? "video" : "img");
+    element.crossOrigin = "anonymous";
+    element.style.display = "none";
+    this.shadowRoot.appendChild(element);
+    return element;
+  }
 
-        // Also check shader source to detect uniform arrays like bool[3], int[5], etc.
-        if (!isUniformArray) {
-          const shaderSource =
-            this.fragmentShader || this.getAttribute("fragment-shader") || "";
-          const uniformArrayRegex = new RegExp(
-            `uniform\\s+\\w+\\s+${name}\\s*\\[`,
-            "g"
-          );
-          isUniformArray = uniformArrayRegex.test(shaderSource);
-        }
+  /**
+   * Uploads the current frame of a media source into a texture.
+   * @param {WebGLTexture} texture - The texture to upload into
+   * @param {TexImageSource} source - The image, video or canvas to upload
+   */
+  #uploadTexture(texture, source) {
+    this.gl.activeTexture(this.gl.TEXTURE0);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
+    this.gl.texImage2D(
+      this.gl.TEXTURE_2D,
+      0,
+      this.gl.RGBA,
+      this.gl.RGBA,
+      this.gl.UNSIGNED_BYTE,
+      source
+    );
+  }
 
-        const flatValue = isUniformArray ? value.flat() : value;
-        const len = flatValue.length;
-
-        if (isUniformArray) {
-          // Handle uniform arrays (vec2[], vec3[], vec4[], etc.)
-          // First try to detect the actual uniform type from shader source
-          const shaderSource =
-            this.fragmentShader || this.getAttribute("fragment-shader") || "";
-          const uniformRegex = new RegExp(
-            `uniform\\s+(\\w+)\\s+${name}\\s*\\[`,
-            "g"
-          );
-          const match = uniformRegex.exec(shaderSource);
-
-          let elementSize = value[0].length; // Default to JavaScript array size
-
-          if (match) {
-            const uniformType = match[1];
-            // Override element size based on shader declaration
-            switch (uniformType) {
-              case "float":
-              case "int":
-              case "bool":
-                elementSize = 1;
-                break;
-              case "vec2":
-              case "ivec2":
-              case "bvec2":
-                elementSize = 2;
-                break;
-              case "vec3":
-              case "ivec3":
-              case "bvec3":
-                elementSize = 3;
-                break;
-              case "vec4":
-              case "ivec4":
-              case "bvec4":
-                elementSize = 4;
-                break;
-            }
-          }
+  /**
+   * Schedules a callback for the next video frame, falling back to
+   * requestAnimationFrame where requestVideoFrameCallback is unavailable.
+   * @param {HTMLVideoElement} video - The video element
+   * @param {Function} callback - The callback to run
+   * @returns {number} A handle for #cancelVideoFrame
+   */
+  #requestVideoFrame(video, callback) {
+    if ("requestVideoFrameCallback" in video) {
+      return video.requestVideoFrameCallback(callback);
+    }
+    return requestAnimationFrame(callback);
+  }
 
-          if (elementSize === 1) {
-            // float array
-            this.gl.uniform1fv(location, new Float32Array(flatValue));
-          } else if (elementSize === 2) {
-            // vec2 array - take first 2 elements of each sub-array
-            const vec2Data = value.flatMap((arr) => arr.slice(0, 2));
-            this.gl.uniform2fv(location, new Float32Array(vec2Data));
-          } else if (elementSize === 3) {
-            // vec3 array - take first 3 elements of each sub-array
-            const vec3Data = value.flatMap((arr) => arr.slice(0, 3));
-            this.gl.uniform3fv(location, new Float32Array(vec3Data));
-          } else if (elementSize === 4) {
-            // vec4 array
-            this.gl.uniform4fv(location, new Float32Array(flatValue));
-          } else {
-            console.warn(
-              `Unsupported uniform array element size: ${elementSize}`
-            );
-          }
-        } else {
-          // Handle single vectors, matrices, and scalar arrays
-          if (len === 1) {
-            this.gl.uniform1f(location, flatValue[0]);
-          } else if (len === 2) {
-            this.gl.uniform2f(location, flatValue[0], flatValue[1]);
-          } else if (len === 3) {
-            this.gl.uniform3f(
-              location,
-              flatValue[0],
-              flatValue[1],
-              flatValue[2]
-            );
-          } else if (len === 4) {
-            this.gl.uniform4f(
-              location,
-              flatValue[0],
-              flatValue[1],
-              flatValue[2],
-              flatValue[3]
-            );
-          } else if (len === 9) {
-            // 3x3 matrix
-            this.gl.uniformMatrix3fv(
-              location,
-              false,
-              new Float32Array(flatValue)
-            );
-          } else if (len === 16) {
-            // 4x4 matrix
-            this.gl.uniformMatrix4fv(
-              location,
-              false,
-              new Float32Array(flatValue)
-            );
-          } else {
-            // Handle arbitrary-length arrays as scalar uniform arrays
-            // Check if array contains booleans or integers
-            const isBoolean = value.every((v) => typeof v === "boolean");
-            const isInteger = value.every(
-              (v) => typeof v === "number" && Number.isInteger(v)
-            );
+  /**
+   * Cancels a callback scheduled with #requestVideoFrame.
+   * @param {HTMLVideoElement} video - The video element
+   * @param {number|null} handle - The handle returned by #requestVideoFrame
+   */
+  #cancelVideoFrame(video, handle) {
+    if (handle === null) return;
 
-            if (isBoolean || isInteger) {
-              // Convert booleans to integers (0/1) and pass as integer array
-              const intArray = value.map((v) =>
-                typeof v === "boolean" ? (v ? 1 : 0) : v
-              );
-              this.gl.uniform1iv(location, new Int32Array(intArray));
-            } else {
-              // Assume float array for any other numeric values
-              this.gl.uniform1fv(location, new Float32Array(flatValue));
-            }
-          }
-        }
-      } else if (typeof value === "number") {
-        if (Number.isInteger(value)) {
-          const regex = new RegExp(`uniform(.*)float(.*)${name}\\s*;`);
-          const match = regex.exec(this.fragmentShader); //match for this pass
-          if (match) {
-            this.gl.uniform1f(location, value);
-          } else {
-            this.gl.uniform1i(location, value);
-          }
-        } else {
-          this.gl.uniform1f(location, value);
-        }
-      } else if (typeof value === "boolean") {
-        this.gl.uniform1i(location, value ? 1 : 0);
-      }
+    if ("requestVideoFrameCallback" in video) {
+      video.cancelVideoFrameCallback(handle);
+    } else {
+      cancelAnimationFrame(handle);
     }
   }
 
   /**
-   * Applies uniforms for a specific pass.
-   * @param {number} passIndex - The index of the pass
-   * @param {WebGLProgram} program - The shader program for this pass
-   * @param {Map} uniformLocations - The uniform locations for this pass
+   * Creates and initializes a WebGL texture for the media element.
    */
-  applyPassUniforms(passIndex, program, uniformLocations) {
-    if (!this.gl || !program || !uniformLocations) return;
+  createTexture() {
+    if (!this.gl) return;
 
-    this.gl.useProgram(program);
+    if (this.texture) {
+      this.gl.deleteTexture(this.texture);
+    }
 
-    // Helper function to set uniform values
-    const setUniform = (name, location, value) => {
-      if (Array.isArray(value)) {
-        // Check if this is an array of arrays (uniform array) vs flat array (single vector)
-        let isUniformArray = value.every((item) => Array.isArray(item));
-
-        // Also check shader source to detect uniform arrays like bool[3], int[5], etc.
-        if (!isUniformArray) {
-          const shaderSource = this.#fragmentShaders[passIndex] || "";
-          const uniformArrayRegex = new RegExp(
-            `uniform\\s+\\w+\\s+${name}\\s*\\[`,
-            "g"
-          );
-          isUniformArray = uniformArrayRegex.test(shaderSource);
-        }
+    this.texture = this.#createMediaTexture();
 
-        const flatValue = isUniformArray ? value.flat() : value;
-        const len = flatValue.length;
+    if (
+      this.mediaElement?.tagName === "VIDEO" &&
+      this.mediaElement.readyState >= 2
+    ) {
+      this.#uploadTexture(this.texture, this.mediaElement);
+    }
 
-        if (isUniformArray) {
-          // Handle uniform arrays (vec2[], vec3[], vec4[], etc.)
-          // First try to detect the actual uniform type from shader source
-          const shaderSource = this.#fragmentShaders[passIndex] || "";
-          const uniformRegex = new RegExp(
-            `uniform\\s+(\\w+)\\s+${name}\\s*\\[`,
-            "g"
-          );
-          const match = uniformRegex.exec(shaderSource);
-
-          let elementSize = value[0].length; // Default to JavaScript array size
-
-          if (match) {
-            const uniformType = match[1];
-            // Override element size based on shader declaration
-            switch (uniformType) {
-              case "float":
-              case "int":
-              case "bool":
-                elementSize = 1;
-                break;
-              case "vec2":
-              case "ivec2":
-              case "bvec2":
-                elementSize = 2;
-                break;
-              case "vec3":
-              case "ivec3":
-              case "bvec3":
-                elementSize = 3;
-                break;
-              case "vec4":
-              case "ivec4":
-              case "bvec4":
-                elementSize = 4;
-                break;
-            }
-          }
+    this.#hasTexture = true;
+  }
 
-          if (elementSize === 1) {
-            // float array
-            this.gl.uniform1fv(location, new Float32Array(flatValue));
-          } else if (elementSize === 2) {
-            // vec2 array - take first 2 elements of each sub-array
-            const vec2Data = value.flatMap((arr) => arr.slice(0, 2));
-            this.gl.uniform2fv(location, new Float32Array(vec2Data));
-          } else if (elementSize === 3) {
-            // vec3 array - take first 3 elements of each sub-array
-            const vec3Data = value.flatMap((arr) => arr.slice(0, 3));
-            this.gl.uniform3fv(location, new Float32Array(vec3Data));
-          } else if (elementSize === 4) {
-            // vec4 array
-            this.gl.uniform4fv(location, new Float32Array(flatValue));
-          } else {
-            console.warn(
-              `Unsupported uniform array element size: ${elementSize}`
-            );
-          }
+  /**
+   * Creates a texture configured for media sampling, holding a transparent pixel.
+   * @returns {WebGLTexture} The new texture
+   */
+  #createMediaTexture() {
+    const texture = this.gl.createTexture();
+    this.gl.activeTexture(this.gl.TEXTURE0);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
+
+    // Set texture parameters
+    this.gl.texParameteri(
+      this.gl.TEXTURE_2D,
+      this.gl.TEXTURE_WRAP_S,
+      this.gl.CLAMP_TO_EDGE
+    );
+    this.gl.texParameteri(
+      this.gl.TEXTURE_2D,
+      this.gl.TEXTURE_WRAP_T,
+      this.gl.CLAMP_TO_EDGE
+    );
+    this.gl.texParameteri(
+      this.gl.TEXTURE_2D,
+      this.gl.TEXTURE_MIN_FILTER,
+      this.gl.LINEAR
+    );
+    this.gl.texParameteri(
+      this.gl.TEXTURE_2D,
+      this.gl.TEXTURE_MAG_FILTER,
+      this.gl.LINEAR
+    );
+
+    // Initialize with transparent pixel
+    this.gl.texImage2D(
+      this.gl.TEXTURE_2D,
+      0,
+      this.gl.RGBA,
+      1,
+      1,
+      0,
+      this.gl.RGBA,
+      this.gl.UNSIGNED_BYTE,
+      new Uint8Array([0, 0, 0, 0])
+    );
+
+    return texture;
+  }
+
+  /**
+   * Creates a WebGL2 context on a canvas, falling back to WebGL1.
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The canvas to draw on
+   * @returns {{gl: WebGLRenderingContext|WebGL2RenderingContext|null, webgl2: boolean}} The context and whether it is WebGL2
+   */
+  static #getContext(canvas) {
+    const contextAttributes = {
+      preserveDrawingBuffer: true,
+      alpha: true,
+    };
+    const gl = canvas.getContext("webgl2", contextAttributes);
+    if (gl) return { gl, webgl2: true };
+    return { gl: canvas.getContext("webgl", contextAttributes), webgl2: false };
+  }
+
+  /**
+   * Gets the renderer shared by elements with the shared-context attribute,
+   * creating its context on first use. Browsers only keep a limited number
+   * of contexts alive, so a page full of elements can share one.
+   * @param {MediaShader} element - The element that draws with the renderer
+   * @returns {Object|null} The shared renderer, or null without WebGL
+   */
+  static #acquireSharedRenderer(element) {
+    if (!MediaShader.#sharedRenderer) {
+      const canvas =
+        typeof OffscreenCanvas !== "undefined"
+          ? new OffscreenCanvas(1, 1)
+          : document.createElement("canvas");
+      const { gl, webgl2 } = MediaShader.#getContext(canvas);
+      if (!gl) return null;
+
+      const renderer = {
+        canvas,
+        gl,
+        webgl2,
+        programs: new Map(), // Shader sources -> { program, users }
+        programKeys: new Map(), // Program -> shader sources
+        elements: new Set(),
+      };
+
+      // Every element drawing with the context is lost and restored with it
+      canvas.addEventListener("webglcontextlost", (event) => {
+        event.preventDefault();
+        renderer.programs.clear();
+        renderer.programKeys.clear();
+        for (const user of renderer.elements) {
+          user.#onContextLost();
+        }
+      });
+      canvas.addEventListener("webglcontextrestored", () => {
+        for (const user of renderer.elements) {
+          user.#onContextRestored();
+        }
+      });
+
+      MediaShader.#sharedRenderer = renderer;
+    }
+
+    MediaShader.#sharedRenderer.elements.add(element);
+    return MediaShader.#sharedRenderer;
+  }
+
+  /**
+   * Releases the shared renderer, losing its context once no element uses it.
+   * @param {MediaShader} element - The element that no longer draws with it
+   */
+  static #releaseSharedRenderer(element) {
+    const renderer = MediaShader.#sharedRenderer;
+    if (!renderer) return;
+
+    renderer.elements.delete(element);
+    if (renderer.elements.size > 0) return;
+
+    const ext = renderer.gl.getExtension("WEBGL_lose_context");
+    if (ext) {
+      ext.loseContext();
+    }
+    MediaShader.#sharedRenderer = null;
+  }
+
+  /**
+   * Grows the shared canvas to fit this element's canvas. Elements render
+   * into its bottom left corner, so it only ever grows.
+   */
+  #fitSharedCanvas() {
+    const shared = this.#renderer.canvas;
+    if (shared.width < this.canvas.width) {
+      shared.width = this.canvas.width;
+    }
+    if (shared.height < this.canvas.height) {
+      shared.height = this.canvas.height;
+    }
+  }
+
+  /**
+   * Copies the frame rendered with the shared context onto this element's canvas.
+   */
+  #presentSharedFrame() {
+    const { width, height } = this.canvas;
+    const shared = this.#renderer.canvas;
+
+    // The canvas is cleared on resize, which also resets this
+    this.#presentContext.globalCompositeOperation = "copy";
+    this.#presentContext.drawImage(
+      shared,
+      0,
+      shared.height - height,
+      width,
+      height,
+      0,
+      0,
+      width,
+      height
+    );
+  }
+
+  /**
+   * Points the vertex attributes at this element's buffers. Only needed with
+   * the shared context, where other elements bind their own in between.
+   */
+  #bindVertexBuffers() {
+    if (!this.#buffers) return;
+
+    // Locations are pinned by createProgram
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.#buffers.position);
+    this.gl.enableVertexAttribArray(0);
+    this.gl.vertexAttribPointer(0, 2, this.gl.FLOAT, false, 0, 0);
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.#buffers.texCoord);
+    this.gl.enableVertexAttribArray(1);
+    this.gl.vertexAttribPointer(1, 2, this.gl.FLOAT, false, 0, 0);
+  }
+
+  /**
+   * Initializes WebGL context, shaders, and buffers.
+   */
+  initWebGL() {
+    if (!this.gl) return;
+
+    // Flip texture Y coordinate to match OpenGL coordinate system
+    // This makes both v_tex_coord and manual gl_FragCoord calculations consistent
+    this.gl.pixelStorei(this.gl.UNPACK_FLIP_Y_WEBGL, true);
+
+    // Create shader program
+    this.program = this.createProgram(
+      this.#vertexShaderFor(this.#builtInFragmentShader()),
+      this.#builtInFragmentShader()
+    );
+    if (!this.program) {
+      console.error("Failed to create shader program");
+      return;
+    }
+
+    // Set up vertex buffer
+    const positions = new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]);
+    const texCoords = new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]); // Changed from [0, 1, 1, 1, 0, 0, 1, 0]
+
+    // Create and bind position buffer
+    const positionBuffer = this.gl.createBuffer();
+    if (!positionBuffer) {
+      console.error("Failed to create position buffer");
+      return;
+    }
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, positionBuffer);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, positions, this.gl.STATIC_DRAW);
+
+    const aPosition = this.gl.getAttribLocation(this.program, "a_position");
+    this.gl.enableVertexAttribArray(aPosition);
+    this.gl.vertexAttribPointer(aPosition, 2, this.gl.FLOAT, false, 0, 0);
+
+    // Create and bind texture coordinate buffer
+    const texCoordBuffer = this.gl.createBuffer();
+    if (!texCoordBuffer) {
+      console.error("Failed to create texture coordinate buffer");
+      return;
+    }
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, texCoordBuffer);
+    this.gl.bufferData(this.gl.ARRAY_BUFFER, texCoords, this.gl.STATIC_DRAW);
+
+    const aTexCoord = this.gl.getAttribLocation(this.program, "a_tex_coord");
+    this.gl.enableVertexAttribArray(aTexCoord);
+    this.gl.vertexAttribPointer(aTexCoord, 2, this.gl.FLOAT, false, 0, 0);
+
+    // Store buffer references for cleanup
+    this.#buffers = {
+      position: positionBuffer,
+      texCoord: texCoordBuffer,
+    };
+
+    // Initialize uniform locations only for built-in uniforms during initialization
+    // Custom uniforms will be handled when the custom shader is loaded
+    this.updateBuiltInUniformLocations();
+
+    // Use the program
+    this.gl.useProgram(this.program);
+
+    // Set up initial texture state
+    const uTexture = this.#uniformLocations.get("u_texture");
+    if (uTexture) {
+      this.gl.uniform1i(uTexture, 0);
+    }
+  }
+
+  /**
+   * Creates and compiles a WebGL shader.
+   * @param {number} type - The shader type (VERTEX_SHADER or FRAGMENT_SHADER)
+   * @param {string} source - The GLSL source code
+   * @param {number} [pass=0] - Index of the pass the shader belongs to, used for diagnostics
+   * @returns {WebGLShader|null} The compiled shader or null if compilation failed
+   */
+  createShader(type, source, pass = 0) {
+    if (!this.gl) return null;
+
+    // Resolve #include directives first; URL chunks compile again once loaded
+    return this.#compileShader(type, this.#preprocess(source), pass);
+  }
+
+  /**
+   * Compiles a shader whose #include directives were already expanded.
+   * @param {number} type - The shader type (VERTEX_SHADER or FRAGMENT_SHADER)
+   * @param {Object} preprocessed - The result of #preprocess
+   * @param {number} pass - Index of the pass the shader belongs to, used for diagnostics
+   * @returns {WebGLShader|null} The compiled shader or null if compilation failed
+   */
+  #compileShader(type, { source: expanded, files, missing, pending }, pass) {
+    const stage = type === this.gl.VERTEX_SHADER ? "vertex" : "fragment";
+
+    if (pending) {
+      console.warn("Waiting for shader chunks to load");
+      return null;
+    }
+    if (missing.length > 0) {
+      const log = missing
+        .map(
+          ({ file, line, name }) =>
+            `ERROR: ${file}:${line}: '${name}' : chunk not found`
+        )
+        .join("\n");
+      console.error("Shader include error:", log);
+      this.#reportShaderError(pass, stage, log, files);
+      return null;
+    }
+
+    const shader = this.gl.createShader(type);
+    if (!shader) {
+      console.error("Failed to create shader");
+      return null;
+    }
+
+    this.gl.shaderSource(shader, expanded);
+    this.gl.compileShader(shader);
+
+    if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
+      const log = this.gl.getShaderInfoLog(shader) || "";
+      console.error("Shader compile error:", log);
+      console.error("Shader source:", expanded);
+      this.gl.deleteShader(shader);
+      this.#reportShaderError(pass, stage, log, files);
+      return null;
+    }
+
+    return shader;
+  }
+
+  /**
+   * Expands `#include "name"` directives with registered chunks. Names that
+   * look like URLs ('./noise.glsl', 'https://…') are fetched and registered
+   * on first use. A chunk is included once per shader, however often it is
+   * asked for, and compiles as its own source string through `#line`
+   * directives so that errors can be traced back to it.
+   * @param {string} source - The GLSL source
+   * @returns {{source: string, files: Object[], missing: Object[], pending: boolean}}
+   *   The expanded source, `{name, lines}` per source string (the shader itself
+   *   first, with a null name), includes that couldn't be resolved, and whether
+   *   chunks are still loading
+   */
+  #preprocess(source) {
+    const files = [{ name: null, lines: new Map() }];
+    const output = [];
+    const included = new Set();
+    const missing = [];
+    let pending = false;
+
+    const expand = (text, file) => {
+      let line = 1;
+      for (const sourceLine of text.split("\n")) {
+        files[file].lines.set(line, sourceLine);
+
+        const include = /^\s*#\s*include\s+"([^"]*)"/.exec(sourceLine);
+        const name = include?.[1];
+        const chunk = include && MediaShader.#chunk(name);
+        if (!include) {
+          output.push(sourceLine);
+        } else if (included.has(name)) {
+          output.push("");
+        } else if (typeof chunk === "string") {
+          included.add(name);
+          this.#includedChunks.add(name);
+          const chunkFile = files.push({ name, lines: new Map() }) - 1;
+          output.push(`#line 1 ${chunkFile}`);
+          expand(chunk, chunkFile);
+          output.push(`#line ${line + 1} ${file}`);
         } else {
-          // Handle single vectors, matrices, and scalar arrays
-          if (len === 1) {
-            this.gl.uniform1f(location, flatValue[0]);
-          } else if (len === 2) {
-            this.gl.uniform2f(location, flatValue[0], flatValue[1]);
-          } else if (len === 3) {
-            this.gl.uniform3f(
-              location,
-              flatValue[0],
-              flatValue[1],
-              flatValue[2]
-            );
-          } else if (len === 4) {
-            this.gl.uniform4f(
-              location,
-              flatValue[0],
-              flatValue[1],
-              flatValue[2],
-              flatValue[3]
-            );
-          } else if (len === 9) {
-            // 3x3 matrix
-            this.gl.uniformMatrix3fv(
-              location,
-              false,
-              new Float32Array(flatValue)
-            );
-          } else if (len === 16) {
-            // 4x4 matrix
-            this.gl.uniformMatrix4fv(
-              location,
-              false,
-              new Float32Array(flatValue)
-            );
+          this.#waitingChunks.add(name);
+          if (chunk === "loading") {
+            pending = true;
           } else {
-            // Handle arbitrary-length arrays as scalar uniform arrays
-            // Check if array contains booleans or integers
-            const isBoolean = value.every((v) => typeof v === "boolean");
-            const isInteger = value.every(
-              (v) => typeof v === "number" && Number.isInteger(v)
-            );
+            missing.push({ file, line, name });
+          }
+          output.push("");
+        }
+
+        // Follow #line directives, e.g. the one after the Shadertoy prologue
+        const directive = /^\s*#\s*line\s+(\d+)/.exec(sourceLine);
+        line = directive ? parseInt(directive[1], 10) : line + 1;
+      }
+    };
+    expand(source, 0);
+
+    return { source: output.join("\n"), files, missing, pending };
+  }
+
+  /**
+   * Looks up a chunk for #include, starting to load chunks named by URL.
+   * @param {string} name - The included name
+   * @returns {string|null} The chunk source, 'loading' while a URL chunk loads, or null if unknown
+   */
+  static #chunk(name) {
+    if (MediaShader.#chunks.has(name)) return MediaShader.#chunks.get(name);
+    if (!/^(https?:|\.{0,2}\/)|\.glsl$/.test(name)) return null;
+
+    const request = MediaShader.#chunkRequests.get(name);
+    if (request === "failed") return null;
+    if (!request) {
+      MediaShader.#loadChunk(name);
+    }
+    return "loading";
+  }
+
+  /**
+   * Fetches a chunk named by URL, relative to the document, and registers it.
+   * @param {string} name - The chunk URL as written in the #include
+   * @returns {Promise<void>}
+   */
+  static async #loadChunk(name) {
+    MediaShader.#chunkRequests.set(name, "loading");
+    try {
+      const response = await fetch(new URL(name, document.baseURI));
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      MediaShader.#chunkRequests.delete(name);
+      MediaShader.registerChunk(name, await response.text());
+    } catch (error) {
+      console.error(`Error loading shader chunk '${name}':`, error);
+      MediaShader.#chunkRequests.set(name, "failed");
+      // Compile again so the missing chunk is reported
+      MediaShader.#recompileIncluding(name);
+    }
+  }
+
+  /**
+   * Compiles the shaders of elements that include a chunk, or were waiting
+   * for it, again.
+   * @param {string} name - The chunk name
+   */
+  static #recompileIncluding(name) {
+    for (const element of document.querySelectorAll("media-shader")) {
+      if (
+        element instanceof MediaShader &&
+        (element.#waitingChunks.delete(name) ||
+          element.#includedChunks.has(name))
+      ) {
+        element.updateShader(
+          element.#fragmentShaderSource() || element.#builtInFragmentShader()
+        );
+      }
+    }
+  }
+
+  /**
+   * Compiles both shader stages and links them into a program.
+   * Failures are logged and reported through `shadererror` events.
+   * @param {string} vertexSource - The GLSL vertex shader code
+   * @param {string} fragmentSource - The GLSL fragment shader code
+   * @param {number} [pass=0] - Index of the pass the program belongs to, used for diagnostics
+   * @returns {WebGLProgram|null} The linked program or null if compilation or linking failed
+   */
+  createProgram(vertexSource, fragmentSource, pass = 0) {
+    if (!this.gl) return null;
+
+    // Still compile, so the shader errors are reported as usual
+    if (
+      !this.#webgl2 &&
+      [vertexSource, fragmentSource].some(MediaShader.#isGLSL300)
+    ) {
+      this.#reportUnavailableFeature(
+        this.dialect === "shadertoy" ? "shadertoy" : "glsl-es-300",
+        this.dialect === "shadertoy"
+          ? "The Shadertoy dialect needs WebGL2"
+          : "GLSL ES 3.00 shaders need WebGL2, use GLSL ES 1.00 instead"
+      );
+    }
+
+    // Elements sharing a context compile identical shaders only once,
+    // compared after #include expansion so re-registered chunks count
+    const vertex = this.#preprocess(vertexSource);
+    const fragment = this.#preprocess(fragmentSource);
+    const key = `${vertex.source}\0${fragment.source}`;
+    const resolved = [vertex, fragment].every(
+      ({ pending, missing }) => !pending && missing.length === 0
+    );
+    const cached = resolved && this.#renderer?.programs.get(key);
+    if (cached) {
+      cached.users++;
+      return cached.program;
+    }
+
+    const vertShader = this.#compileShader(this.gl.VERTEX_SHADER, vertex, pass);
+    const fragShader = this.#compileShader(
+      this.gl.FRAGMENT_SHADER,
+      fragment,
+      pass
+    );
+
+    if (!vertShader || !fragShader) {
+      if (vertShader) this.gl.deleteShader(vertShader);
+      if (fragShader) this.gl.deleteShader(fragShader);
+      return null;
+    }
+
+    const program = this.gl.createProgram();
+    if (!program) {
+      console.error(`Failed to create program for pass ${pass}`);
+      this.gl.deleteShader(vertShader);
+      this.gl.deleteShader(fragShader);
+      return null;
+    }
+
+    this.gl.attachShader(program, vertShader);
+    this.gl.attachShader(program, fragShader);
+
+    // Pin attribute locations so every program shares the vertex buffers
+    this.gl.bindAttribLocation(program, 0, "a_position");
+    this.gl.bindAttribLocation(program, 1, "a_tex_coord");
+
+    this.gl.linkProgram(program);
+
+    // After linking, the shader objects are no longer needed
+    this.gl.deleteShader(vertShader);
+    this.gl.deleteShader(fragShader);
+
+    if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
+      const log = this.gl.getProgramInfoLog(program) || "";
+      console.error(`Failed to link program for pass ${pass}:`, log);
+      this.gl.deleteProgram(program);
+      this.#reportShaderError(pass, "link", log, null);
+      return null;
+    }
+
+    if (this.#renderer) {
+      this.#renderer.programs.set(key, { program, users: 1 });
+      this.#renderer.programKeys.set(program, key);
+    }
+
+    return program;
+  }
+
+  /**
+   * Deletes a program created by createProgram. Programs cached by the
+   * shared renderer are only deleted once no element uses them anymore.
+   * @param {WebGLProgram} program - The program to delete
+   */
+  #deleteProgram(program) {
+    const key = this.#renderer?.programKeys.get(program);
+    if (key !== undefined) {
+      const cached = this.#renderer.programs.get(key);
+      if (--cached.users > 0) return;
+
+      this.#renderer.programs.delete(key);
+      this.#renderer.programKeys.delete(program);
+    }
+    this.gl.deleteProgram(program);
+  }
+
+  /**
+   * Records diagnostics for a failed shader stage and dispatches a `shadererror` event.
+   * @param {number} pass - Index of the pass that failed
+   * @param {string} stage - 'vertex', 'fragment' or 'link'
+   * @param {string} log - The raw info log from WebGL
+   * @param {Object[]|null} files - Source strings from #preprocess, used to locate errors
+   */
+  #reportShaderError(pass, stage, log, files) {
+    const errors = this.#parseInfoLog(log, files).map((entry) => ({
+      pass,
+      stage,
+      ...entry,
+    }));
+
+    this.#errors.push(...errors);
+
+    this.dispatchEvent(
+      new CustomEvent("shadererror", {
+        detail: { pass, stage, errors, log },
+      })
+    );
+  }
+
+  /**
+   * Parses a WebGL info log into `{file, line, column, message, severity}`
+   * entries. Understands the ANGLE/Mesa style (`ERROR: 0:12: message`) and
+   * the NVIDIA style (`0(12) : error C1008: message`), where the first number
+   * is the source string: the shader itself or an included chunk, whose name
+   * becomes `file`. Lines that don't match either format are kept as messages
+   * without a location.
+   * @param {string} log - The raw info log
+   * @param {Object[]|null} files - Source strings from #preprocess, used to locate errors
+   * @returns {Object[]} Parsed diagnostic entries
+   */
+  #parseInfoLog(log, files) {
+    const entries = [];
+
+    for (const rawLine of log.split("\n")) {
+      const text = rawLine.trim();
+      if (!text || text === "\0") continue;
+
+      let severity = "error";
+      let file = 0;
+      let line = null;
+      let message = text;
+
+      const angle = /^(ERROR|WARNING):\s*(\d+):(\d+):\s*(.*)$/i.exec(text);
+      const nvidia =
+        /^(\d+)\((\d+)\)\s*:\s*(error|warning)\s*\w*:\s*(.*)$/i.exec(text);
+
+      if (angle) {
+        severity = angle[1].toLowerCase();
+        file = parseInt(angle[2], 10);
+        line = parseInt(angle[3], 10);
+        message = angle[4];
+      } else if (nvidia) {
+        severity = nvidia[3].toLowerCase();
+        file = parseInt(nvidia[1], 10);
+        line = parseInt(nvidia[2], 10);
+        message = nvidia[4];
+      } else if (/^\d+ compilation errors?/i.test(text)) {
+        // Summary line, e.g. "1 compilation errors.  No code generated."
+        continue;
+      }
+
+      // Drivers rarely report columns, so locate the quoted token on the line
+      let column = null;
+      const token = /'([^']+)'/.exec(message);
+      const sourceLine = files?.[file]?.lines.get(line);
+      if (line !== null && token && sourceLine) {
+        const index = sourceLine.indexOf(token[1]);
+        if (index !== -1) {
+          column = index + 1;
+        }
+      }
+
+      entries.push({
+        file: files?.[file]?.name ?? null,
+        line,
+        column,
+        message,
+        severity,
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Creates framebuffers for multi-pass rendering.
+   * Only passes whose output is read by a later pass get one; the final pass
+   * renders to the canvas and passes with a feedback buffer render into that.
+   */
+  createFramebuffers() {
+    if (!this.gl) return;
+
+    // Ensure canvas has valid dimensions before creating framebuffers
+    if (this.canvas.width === 0 || this.canvas.height === 0) {
+      this.updateCanvasSize();
+      // If still zero after update, don't create framebuffers
+      if (this.canvas.width === 0 || this.canvas.height === 0) {
+        console.warn("Cannot create framebuffers: canvas has zero dimensions");
+        return;
+      }
+    }
+
+    // Clean up existing framebuffers
+    this.cleanupFramebuffers();
+
+    for (let i = 0; i < this.#passes.length; i++) {
+      const isRead = this.#passes.some(
+        (pass, index) => index > i && Object.values(pass.inputs).includes(i)
+      );
+
+      let target = null;
+      if (isRead && !this.#feedbackTarget(i)) {
+        const { width, height } = this.#targetSize();
+        target = this.#createRenderTarget(
+          width,
+          height,
+          this.#passes[i].format,
+          i
+        );
+        if (!target) {
+          console.error(`Framebuffer ${i} is not complete`);
+        }
+      }
+
+      this.#framebuffers.push(target ? target.framebuffer : null);
+      this.#framebufferTextures.push(target ? target.texture : null);
+    }
+  }
+
+  /**
+   * Creates a texture-backed framebuffer to render into. Formats the context
+   * can't render to fall back to a lower precision, which is reported through
+   * a `featureunavailable` event.
+   * @param {number} width - Width of the target in pixels
+   * @param {number} height - Height of the target in pixels
+   * @param {string} [format='RGBA8'] - Texture format ('RGBA8', 'RGBA16F' or 'RGBA32F')
+   * @param {number} [pass] - Index of the pass the target belongs to, used for diagnostics
+   * @returns {{framebuffer: WebGLFramebuffer, texture: WebGLTexture, width: number, height: number, format: string}|null}
+   *   The render target or null if it could not be created
+   */
+  #createRenderTarget(width, height, format = "RGBA8", pass) {
+    let resolved = this.#targetFormat(format);
+    let target = this.#allocateRenderTarget(width, height, resolved);
+
+    // Some drivers expose the extensions but can't render to the format
+    while (!target && resolved.format !== "RGBA8") {
+      resolved = this.#targetFormat(
+        MediaShader.#formatFallbacks[resolved.format]
+      );
+      target = this.#allocateRenderTarget(width, height, resolved);
+    }
+
+    if (target && target.format !== format) {
+      this.#reportFormatFallback(pass, format, target.format);
+    }
+    return target;
+  }
+
+  /**
+   * Allocates the framebuffer and texture of a render target.
+   * @param {number} width - Width of the target in pixels
+   * @param {number} height - Height of the target in pixels
+   * @param {Object} resolved - Texture parameters from #targetFormat
+   * @returns {Object|null} The render target or null if it is not complete
+   */
+  #allocateRenderTarget(width, height, resolved) {
+    width = Math.max(1, width);
+    height = Math.max(1, height);
+
+    const framebuffer = this.gl.createFramebuffer();
+    const texture = this.gl.createTexture();
+
+    if (!framebuffer || !texture) {
+      console.error("Failed to create framebuffer or texture");
+      return null;
+    }
+
+    // Configure the texture
+    const { internalFormat, type, filter } = resolved;
+    this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
+    this.gl.texImage2D(
+      this.gl.TEXTURE_2D,
+      0,
+      internalFormat,
+      width,
+      height,
+      0,
+      this.gl.RGBA,
+      type,
+      null
+    );
+
+    // Set texture parameters
+    this.gl.texParameteri(
+      this.gl.TEXTURE_2D,
+      this.gl.TEXTURE_MIN_FILTER,
+      filter
+    );
+    this.gl.texParameteri(
+      this.gl.TEXTURE_2D,
+      this.gl.TEXTURE_MAG_FILTER,
+      filter
+    );
+    this.gl.texParameteri(
+      this.gl.TEXTURE_2D,
+      this.gl.TEXTURE_WRAP_S,
+      this.gl.CLAMP_TO_EDGE
+    );
+    this.gl.texParameteri(
+      this.gl.TEXTURE_2D,
+      this.gl.TEXTURE_WRAP_T,
+      this.gl.CLAMP_TO_EDGE
+    );
+
+    // Attach texture to framebuffer
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, framebuffer);
+    this.gl.framebufferTexture2D(
+      this.gl.FRAMEBUFFER,
+      this.gl.COLOR_ATTACHMENT0,
+      this.gl.TEXTURE_2D,
+      texture,
+      0
+    );
+
+    // Check framebuffer completeness
+    const complete =
+      this.gl.checkFramebufferStatus(this.gl.FRAMEBUFFER) ===
+      this.gl.FRAMEBUFFER_COMPLETE;
+
+    // Unbind framebuffer
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+
+    if (!complete) {
+      this.gl.deleteFramebuffer(framebuffer);
+      this.gl.deleteTexture(texture);
+      return null;
+    }
+
+    return { framebuffer, texture, width, height, format: resolved.format };
+  }
+
+  /**
+   * Resolves a render target format to texture parameters the context
+   * supports. Float formats need EXT_color_buffer_float (or the WebGL1 float
+   * and half-float extensions) and resolve to a lower precision without it.
+   * @param {string} format - 'RGBA8', 'RGBA16F' or 'RGBA32F'
+   * @returns {{format: string, internalFormat: number, type: number, filter: number}}
+   *   The format actually used and its texture parameters
+   */
+  #targetFormat(format) {
+    const gl = this.gl;
+
+    if (format === "RGBA32F") {
+      const supported = this.#webgl2
+        ? gl.getExtension("EXT_color_buffer_float")
+        : gl.getExtension("OES_texture_float") &&
+          gl.getExtension("WEBGL_color_buffer_float");
+      if (!supported) {
+        return this.#targetFormat(MediaShader.#formatFallbacks[format]);
+      }
+      return {
+        format,
+        internalFormat: this.#webgl2 ? gl.RGBA32F : gl.RGBA,
+        type: gl.FLOAT,
+        // Filtering 32-bit floats is an extension of its own
+        filter: gl.getExtension("OES_texture_float_linear")
+          ? gl.LINEAR
+          : gl.NEAREST,
+      };
+    }
+
+    if (format === "RGBA16F") {
+      if (this.#webgl2) {
+        if (
+          gl.getExtension("EXT_color_buffer_float") ||
+          gl.getExtension("EXT_color_buffer_half_float")
+        ) {
+          return {
+            format,
+            internalFormat: gl.RGBA16F,
+            type: gl.HALF_FLOAT,
+            filter: gl.LINEAR,
+          };
+        }
+      } else {
+        const halfFloat = gl.getExtension("OES_texture_half_float");
+        if (halfFloat && gl.getExtension("EXT_color_buffer_half_float")) {
+          return {
+            format,
+            internalFormat: gl.RGBA,
+            type: halfFloat.HALF_FLOAT_OES,
+            filter: gl.getExtension("OES_texture_half_float_linear")
+              ? gl.LINEAR
+              : gl.NEAREST,
+          };
+        }
+      }
+      return this.#targetFormat(MediaShader.#formatFallbacks[format]);
+    }
+
+    return {
+      format: "RGBA8",
+      internalFormat: gl.RGBA,
+      type: gl.UNSIGNED_BYTE,
+      filter: gl.LINEAR,
+    };
+  }
+
+  /**
+   * Reports that a pass got a lower precision render target than it asked
+   * for. Each pass and format is reported once per shader compile.
+   * @param {number|undefined} pass - Index of the pass
+   * @param {string} requested - The format the pass asked for
+   * @param {string} format - The format it got instead
+   */
+  #reportFormatFallback(pass, requested, format) {
+    const key = `${pass}:${requested}`;
+    if (this.#reportedFormats.has(key)) return;
+    this.#reportedFormats.add(key);
+
+    const feature = requested.toLowerCase();
+    const message = `${requested} render targets are not supported, pass ${pass} falls back to ${format}`;
+    console.warn(message);
+    this.dispatchEvent(
+      new CustomEvent("featureunavailable", {
+        detail: { feature, message, pass, requested, format },
+      })
+    );
+  }
+
+  /**
+   * Deletes a render target created by #createRenderTarget.
+   * @param {Object|null} target - The render target to delete
+   */
+  #deleteRenderTarget(target) {
+    if (!target) return;
+    this.gl.deleteFramebuffer(target.framebuffer);
+    this.gl.deleteTexture(target.texture);
+  }
+
+  /**
+   * Cleans up framebuffers and their textures.
+   */
+  cleanupFramebuffers() {
+    if (!this.gl) return;
+
+    // Delete framebuffers
+    for (const framebuffer of this.#framebuffers) {
+      this.gl.deleteFramebuffer(framebuffer);
+    }
+    this.#framebuffers = [];
+
+    // Delete framebuffer textures
+    for (const texture of this.#framebufferTextures) {
+      this.gl.deleteTexture(texture);
+    }
+    this.#framebufferTextures = [];
+  }
+
+  /**
+   * Resizes framebuffers when canvas size changes. Targets are allocated
+   * again in their pass's format, like createFramebuffers does.
+   */
+  resizeFramebuffers() {
+    if (!this.gl || this.#framebuffers.length === 0) return;
+
+    const { width, height } = this.canvas;
+
+    for (let i = 0; i < this.#framebuffers.length; i++) {
+      if (!this.#framebuffers[i]) continue;
+
+      const target = this.#createRenderTarget(
+        width,
+        height,
+        this.#passFormat(i),
+        i
+      );
+      if (!target) {
+        console.error(`Failed to resize framebuffer ${i}`);
+        continue;
+      }
+
+      this.gl.deleteFramebuffer(this.#framebuffers[i]);
+      this.gl.deleteTexture(this.#framebufferTextures[i]);
+      this.#framebuffers[i] = target.framebuffer;
+      this.#framebufferTextures[i] = target.texture;
+    }
+  }
+
+  /**
+   * Creates or releases previous-frame buffers to match the current shaders.
+   * A pass gets a ping-pong buffer when it declares `u_prev_frame`, or when
+   * any pass declares `u_pass<N>_prev` for it. Existing buffers keep their
+   * contents so effects carry on across shader updates.
+   */
+  updateFeedbackBuffers() {
+    if (!this.gl) return;
+
+    const locationMaps = this.#isMultiPass
+      ? this.#passUniformLocations
+      : [this.#uniformLocations];
+
+    // Work out which passes have their previous frame sampled
+    const needed = new Set();
+    locationMaps.forEach((uniformLocations, passIndex) => {
+      if (uniformLocations.has("u_prev_frame")) {
+        needed.add(passIndex);
+      }
+      for (const name of uniformLocations.keys()) {
+        const match = /^u_pass(\d+)_prev$/.exec(name);
+        if (match && Number(match[1]) < locationMaps.length) {
+          needed.add(Number(match[1]));
+        }
+      }
+    });
+
+    // Release buffers no pass reads any more or whose format changed
+    for (const [passIndex, buffer] of this.#feedbackBuffers) {
+      if (
+        !needed.has(passIndex) ||
+        buffer.format !== this.#passFormat(passIndex)
+      ) {
+        this.#deleteRenderTarget(buffer.read);
+        this.#deleteRenderTarget(buffer.write);
+        this.#feedbackBuffers.delete(passIndex);
+      }
+    }
+
+    // Create buffers for newly sampled passes
+    for (const passIndex of needed) {
+      if (this.#feedbackBuffers.has(passIndex)) continue;
+
+      const format = this.#passFormat(passIndex);
+      const read = this.#createRenderTarget(
+        this.canvas.width,
+        this.canvas.height,
+        format,
+        passIndex
+      );
+      const write = this.#createRenderTarget(
+        this.canvas.width,
+        this.canvas.height,
+        format,
+        passIndex
+      );
+      if (!read || !write) {
+        console.error(`Failed to create feedback buffer for pass ${passIndex}`);
+        this.#deleteRenderTarget(read);
+        this.#deleteRenderTarget(write);
+        continue;
+      }
+
+      this.#feedbackBuffers.set(passIndex, { read, write, format });
+      this.clearFeedback(passIndex);
+    }
+  }
+
+  /**
+   * Clears previous-frame buffers so stateful effects start from scratch.
+   * @param {number} [passIndex] - Pass to clear, or every pass if omitted
+   */
+  clearFeedback(passIndex) {
+    if (!this.gl) return;
+
+    for (const [index, buffer] of this.#feedbackBuffers) {
+      if (passIndex !== undefined && index !== passIndex) continue;
+
+      for (const target of [buffer.read, buffer.write]) {
+        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, target.framebuffer);
+        this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+      }
+    }
+
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+    this.requestRender();
+  }
+
+  /**
+   * Resizes previous-frame buffers to the canvas, scaling their contents
+   * so accumulated state survives the resize.
+   */
+  resizeFeedbackBuffers() {
+    if (!this.gl || this.#feedbackBuffers.size === 0) return;
+
+    const { width, height } = this.canvas;
+
+    for (const [passIndex, buffer] of this.#feedbackBuffers) {
+      if (buffer.read.width === width && buffer.read.height === height) {
+        continue;
+      }
+
+      const { format } = buffer;
+      const read = this.#createRenderTarget(width, height, format, passIndex);
+      const write = this.#createRenderTarget(width, height, format, passIndex);
+      if (!read || !write) {
+        console.error("Failed to resize feedback buffer");
+        this.#deleteRenderTarget(read);
+        this.#deleteRenderTarget(write);
+        continue;
+      }
+
+      // Carry the previous frame over into the new size
+      if (this.#webgl2) {
+        this.gl.bindFramebuffer(
+          this.gl.READ_FRAMEBUFFER,
+          buffer.read.framebuffer
+        );
+        this.gl.bindFramebuffer(this.gl.DRAW_FRAMEBUFFER, read.framebuffer);
+        this.gl.blitFramebuffer(
+          0,
+          0,
+          buffer.read.width,
+          buffer.read.height,
+          0,
+          0,
+          width,
+          height,
+          this.gl.COLOR_BUFFER_BIT,
+          this.gl.LINEAR
+        );
+      } else {
+        // WebGL1 has no blitFramebuffer, draw the old frame scaled instead
+        if (this.#renderer) {
+          this.#bindVertexBuffers();
+        }
+        this.gl.viewport(0, 0, width, height);
+        this.#presentTexture(buffer.read.texture, read.framebuffer);
+      }
+
+      this.#deleteRenderTarget(buffer.read);
+      this.#deleteRenderTarget(buffer.write);
+      buffer.read = read;
+      buffer.write = write;
+    }
+
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+  }
+
+  /**
+   * Deletes all previous-frame buffers.
+   */
+  cleanupFeedbackBuffers() {
+    if (!this.gl) return;
+
+    for (const buffer of this.#feedbackBuffers.values()) {
+      this.#deleteRenderTarget(buffer.read);
+      this.#deleteRenderTarget(buffer.write);
+    }
+    this.#feedbackBuffers.clear();
+  }
+
+  /**
+   * Swaps the read and write sides of every previous-frame buffer.
+   * Called once per frame after all passes have rendered.
+   */
+  #swapFeedbackBuffers() {
+    if (this.#renderTarget) return;
+
+    for (const buffer of this.#feedbackBuffers.values()) {
+      [buffer.read, buffer.write] = [buffer.write, buffer.read];
+    }
+  }
+
+  /**
+   * Gets the previous-frame buffer a pass renders into.
+   * Offscreen renders (exports) only read previous frames, so they get none.
+   * @param {number} passIndex - The index of the pass
+   * @returns {Object|undefined} The { read, write } buffer pair
+   */
+  #feedbackTarget(passIndex) {
+    if (this.#renderTarget) return undefined;
+    return this.#feedbackBuffers.get(passIndex);
+  }
+
+  /**
+   * Gets the render target format a pass asked for.
+   * @param {number} passIndex - The index of the pass
+   * @returns {string} 'RGBA8', 'RGBA16F' or 'RGBA32F'
+   */
+  #passFormat(passIndex) {
+    return this.#passes[passIndex]?.format ?? "RGBA8";
+  }
+
+  /**
+   * Gets the size of the surface currently being rendered to.
+   * @returns {{width: number, height: number}} The canvas or export target size
+   */
+  #targetSize() {
+    return this.#renderTarget || this.canvas;
+  }
+
+  /**
+   * Gets where the media sits on the output, following the fit and position
+   * attributes like CSS object-fit and object-position.
+   * @returns {number[]} `[x, y, width, height]` in texture coordinates, origin at the bottom left
+   */
+  #mediaRect() {
+    const { width, height } = this.#targetSize();
+    const mediaWidth = this.#naturalWidth;
+    const mediaHeight = this.#naturalHeight;
+    if (!this.#hasTexture || !mediaWidth || !mediaHeight || !width || !height) {
+      return [0, 0, 1, 1];
+    }
+
+    // Output pixels per CSS pixel, so 'none' shows the media at CSS size
+    const cssScale =
+      (width / this.canvas.width) * (window.devicePixelRatio || 1);
+    const contain = Math.min(width / mediaWidth, height / mediaHeight);
+    const scales = {
+      contain,
+      cover: Math.max(width / mediaWidth, height / mediaHeight),
+      none: cssScale,
+      "scale-down": Math.min(contain, cssScale),
+    };
+    const scale = scales[this.fit];
+    if (scale === undefined) return [0, 0, 1, 1];
+
+    const drawnWidth = mediaWidth * scale;
+    const drawnHeight = mediaHeight * scale;
+    const [x, y] = MediaShader.#parsePosition(this.position);
+    const offset = (value, free) =>
+      value.unit === "%"
+        ? (free * value.amount) / 100
+        : value.amount * cssScale;
+
+    // object-position measures from the top, texture coordinates from the bottom
+    const left = offset(x, width - drawnWidth);
+    const top = offset(y, height - drawnHeight);
+    return [
+      left / width,
+      (height - top - drawnHeight) / height,
+      drawnWidth / width,
+      drawnHeight / height,
+    ];
+  }
+
+  /**
+   * Parses a CSS object-position value into horizontal and vertical offsets.
+   * Supports keywords, percentages and pixel lengths.
+   * @param {string} value - The position, e.g. 'left top', '25% 75%' or '10px center'
+   * @returns {Object[]} `[x, y]` as `{amount, unit}` with unit '%' or 'px'
+   */
+  static #parsePosition(value) {
+    const keywords = { left: 0, top: 0, center: 50, right: 100, bottom: 100 };
+    const parts = value.trim().toLowerCase().split(/\s+/).slice(0, 2);
+
+    // A single value or a vertical keyword first puts the values in order
+    if (parts.length === 1) {
+      parts.push("center");
+      if (parts[0] === "top" || parts[0] === "bottom") parts.reverse();
+    } else if (
+      parts[0] === "top" ||
+      parts[0] === "bottom" ||
+      parts[1] === "left" ||
+      parts[1] === "right"
+    ) {
+      parts.reverse();
+    }
+
+    return parts.map((part) => {
+      if (part in keywords) return { amount: keywords[part], unit: "%" };
+      const amount = parseFloat(part);
+      if (isNaN(amount)) return { amount: 50, unit: "%" };
+      return { amount, unit: part.endsWith("%") ? "%" : "px" };
+    });
+  }
+
+  /**
+   * Points the texture coordinates of the quad at a media rect, so v_tex_coord
+   * covers the media from 0 to 1 wherever it sits on the output.
+   * @param {number[]} rect - `[x, y, width, height]` from #mediaRect()
+   */
+  #setTexCoords(rect) {
+    const key = rect.join(",");
+    if (!this.#buffers?.texCoord || key === this.#texCoordRect) return;
+    this.#texCoordRect = key;
+
+    const [x, y, width, height] = rect;
+    const texCoords = new Float32Array(
+      [0, 0, 1, 0, 0, 1, 1, 1].map((corner, i) =>
+        i % 2 === 0 ? (corner - x) / width : (corner - y) / height
+      )
+    );
+    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.#buffers.texCoord);
+    this.gl.bufferSubData(this.gl.ARRAY_BUFFER, 0, texCoords);
+  }
+
+  /**
+   * Gets the framebuffer final output goes to: null for the canvas, or the export target.
+   * @returns {WebGLFramebuffer|null} The output framebuffer
+   */
+  #outputFramebuffer() {
+    return this.#renderTarget ? this.#renderTarget.framebuffer : null;
+  }
+
+  /**
+   * Binds the previous-frame textures a pass samples.
+   * @param {number} passIndex - The index of the pass being rendered
+   * @param {Map} uniformLocations - The uniform locations for this pass
+   * @param {number} unit - The first free texture unit
+   * @returns {number} The next free texture unit
+   */
+  #bindFeedbackTextures(passIndex, uniformLocations, unit) {
+    for (const [index, buffer] of this.#feedbackBuffers) {
+      const names = [`u_pass${index}_prev`];
+      if (index === passIndex) {
+        names.push("u_prev_frame");
+      }
+
+      for (const name of names) {
+        const location = uniformLocations.get(name);
+        if (!location) continue;
+
+        this.gl.activeTexture(this.gl.TEXTURE0 + unit);
+        this.gl.bindTexture(this.gl.TEXTURE_2D, buffer.read.texture);
+        this.gl.uniform1i(location, unit);
+        unit++;
+      }
+    }
+
+    this.gl.activeTexture(this.gl.TEXTURE0);
+    return unit;
+  }
+
+  /**
+   * Looks up the previous-frame sampler uniforms a program declares.
+   * @param {WebGLProgram} program - The shader program
+   * @param {Map} uniformLocations - The map to store locations in
+   * @param {number} passCount - The number of passes that could be sampled
+   */
+  #updateFeedbackUniformLocations(program, uniformLocations, passCount) {
+    const names = ["u_prev_frame"];
+    for (let i = 0; i < passCount; i++) {
+      names.push(`u_pass${i}_prev`);
+    }
+
+    for (const name of names) {
+      const location = this.gl.getUniformLocation(program, name);
+      if (location !== null) {
+        uniformLocations.set(name, location);
+      }
+    }
+  }
+
+  /**
+   * Draws a texture to the canvas unchanged.
+   * Used to present passes that rendered into a previous-frame buffer.
+   * @param {WebGLTexture} texture - The texture to draw
+   * @param {WebGLFramebuffer|null} [framebuffer=null] - Where to draw, the canvas by default
+   */
+  #presentTexture(texture, framebuffer = null) {
+    if (!this.#copyProgram) {
+      // GLSL ES 1.00 so it also works on the WebGL1 fallback
+      const fragmentSource = `
+            precision highp float;
+            uniform sampler2D u_texture;
+            varying vec2 v_tex_coord;
+
+            void main() {
+                gl_FragColor = texture2D(u_texture, v_tex_coord);
+            }
+        `;
+      this.#copyProgram = this.createProgram(
+        this.#vertexShaderFor(fragmentSource, false),
+        fragmentSource
+      );
+      if (!this.#copyProgram) return;
+    }
+
+    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, framebuffer);
+    this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+    this.gl.useProgram(this.#copyProgram);
+    this.gl.activeTexture(this.gl.TEXTURE0);
+    this.gl.bindTexture(this.gl.TEXTURE_2D, texture);
+    this.gl.uniform1i(
+      this.gl.getUniformLocation(this.#copyProgram, "u_texture"),
+      0
+    );
+    this.#setTexCoords([0, 0, 1, 1]);
+    this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+  }
+
+  /**
+   * Updates the fragment shader with new source code.
+   * @param {string|string[]} fragmentShaderSource - The new GLSL fragment shader code (string for single-pass, array for multi-pass)
+   */
+  updateShader(fragmentShaderSource) {
+    // A lost context recompiles the current shaders once restored
+    if (!this.gl || this.#contextLost) return;
+
+    // Skip empty or whitespace-only strings
+    if (!fragmentShaderSource || fragmentShaderSource.trim() === "") {
+      console.warn("Empty fragment shader source provided");
+      return;
+    }
+
+    try {
+      // Try to parse as JSON first to detect if it's an array
+      const parsed = JSON.parse(fragmentShaderSource);
+      if (Array.isArray(parsed)) {
+        // Multi-pass shaders
+        this.updateMultiPassShaders(parsed);
+        return;
+      }
+    } catch (e) {
+      // Not JSON, treat as single shader string
+    }
+
+    // Single-pass shader
+    this.#errors = [];
+    this.#includedChunks.clear();
+    this.#reportedFormats.clear();
+
+    // Pair the shader with a custom vertex shader or a matching default one
+    const fragment = this.#applyDialect(fragmentShaderSource, true);
+    const vertexShaderSource = this.#vertexShaderFor(fragment);
+
+    // Create new shader program, keeping the current one if it fails
+    const newProgram = this.createProgram(vertexShaderSource, fragment);
+    if (!newProgram) {
+      console.error("Failed to create shaders");
+      return;
+    }
+
+    this.#isMultiPass = false;
+    this.#passes = [];
+    this.cleanupFramebuffers();
+
+    // Clean up multi-pass programs
+    for (const program of this.programs) {
+      this.#deleteProgram(program);
+    }
+    this.programs = [];
+    this.#passUniformLocations = [];
+    this.#passUniformInfo = [];
+
+    // Clean up old program and switch to new one
+    if (this.program) {
+      this.#deleteProgram(this.program);
+    }
+    this.program = newProgram;
+    this.#frameCount = 0;
+    this.#shaderSources = [
+      { vertex: vertexShaderSource, fragment: fragmentShaderSource },
+    ];
+
+    // Update uniform locations for the new program
+    this.updateUniformLocations();
+    this.updateFeedbackBuffers();
+
+    // Reapply current uniforms
+    this.applyUniforms();
+    this.#updateControls();
+    this.requestRender();
+
+    this.dispatchEvent(
+      new CustomEvent("shadercompiled", { detail: { passes: 1 } })
+    );
+  }
+
+  /**
+   * Updates uniform values from a JSON string.
+   * @param {string} uniformsStr - JSON string containing uniform values (object for single-pass, array for multi-pass)
+   */
+  updateUniforms(uniformsStr) {
+    try {
+      const parsed = uniformsStr ? JSON.parse(uniformsStr) : {};
+
+      if (Array.isArray(parsed)) {
+        // Multi-pass uniforms
+        this.#passUniforms = parsed;
+        // Global uniforms are cleared when using per-pass uniforms, leaving only effect defaults
+        this.#uniforms = { ...this.#currentEffect()?.defaults };
+        console.log("updateUniforms (multi-pass)", this.#passUniforms);
+
+        // Update uniform locations and apply uniforms for multi-pass
+        if (this.#isMultiPass && this.programs.length > 0) {
+          this.updatePassUniformLocations();
+        }
+      } else {
+        // Single-pass uniforms
+        this.#uniforms = { ...this.#currentEffect()?.defaults, ...parsed };
+        this.#passUniforms = []; // Clear per-pass uniforms when using global uniforms
+        console.log("updateUniforms (single-pass)", this.#uniforms);
+
+        // Global uniforms reach every pass of a multi-pass shader too, so
+        // look their locations up in whichever programs are active
+        this.#refreshUniformLocations();
+        if (this.program && !this.#isMultiPass) {
+          this.applyUniforms();
+        }
+      }
+      this.#syncControls();
+      this.requestRender();
+    } catch (error) {
+      console.error("Error parsing uniforms JSON:", error);
+    }
+  }
+
+  /**
+   * Gets the fragment shader to compile: the fragment-shader attribute, the
+   * file fetched for fragment-shader-src, the <script> children, or else the
+   * shader of the effect named by the effect attribute.
+   * @returns {string|null} GLSL source or a JSON array of passes, null for the default shader
+   */
+  #fragmentShaderSource() {
+    const fragmentShader =
+      this.getAttribute("fragment-shader") ||
+      this.#shaderFileSources.fragment ||
+      this.#scriptShaders.fragment;
+    if (fragmentShader) return fragmentShader;
+
+    const effect = this.#currentEffect();
+    if (!effect) return null;
+    return effect.passes ? JSON.stringify(effect.passes) : effect.fragment;
+  }
+
+  /**
+   * Gets the registered effect the element shows, which is none while the
+   * element has a fragment shader of its own.
+   * @returns {Object|null} The effect definition
+   */
+  #currentEffect() {
+    const name = this.effect;
+    if (
+      !name ||
+      this.hasAttribute("fragment-shader") ||
+      this.#shaderFileSources.fragment ||
+      this.#scriptShaders.fragment
+    ) {
+      return null;
+    }
+
+    return MediaShader.#effects.get(name) ?? null;
+  }
+
+  /**
+   * Compiles the current effect and swaps its default uniforms in.
+   */
+  #updateEffect() {
+    this.updateShader(
+      this.#fragmentShaderSource() || this.#builtInFragmentShader()
+    );
+    this.updateUniforms(this.getAttribute("uniforms"));
+  }
+
+  /**
+   * Compiles the fragment shader again after one of its sources changed.
+   */
+  #recompile() {
+    if (this.effect) {
+      // The effect and its defaults step in or out
+      this.#updateEffect();
+    } else {
+      this.updateShader(
+        this.#fragmentShaderSource() || this.#builtInFragmentShader()
+      );
+    }
+  }
+
+  /**
+   * Reads the shaders of the element's <script type="x-shader/x-fragment">
+   * and <script type="x-shader/x-vertex"> children. Several fragment scripts
+   * become passes in document order, named by `data-name`, wired up by a
+   * JSON `data-inputs` map and given a `data-format` like multi-pass pass
+   * objects.
+   * @returns {{fragment: string|null, vertex: string|null}} GLSL source or a JSON array of passes for the fragment stage
+   */
+  #readScriptShaders() {
+    const scripts = (type) =>
+      [...this.children].filter(
+        (child) => child.tagName === "SCRIPT" && child.type === type
+      );
+
+    const passes = scripts("x-shader/x-fragment").map((script) => {
+      let inputs;
+      try {
+        inputs = script.dataset.inputs && JSON.parse(script.dataset.inputs);
+      } catch (error) {
+        console.error("Error parsing data-inputs JSON:", error);
+      }
+      return {
+        name: script.dataset.name,
+        fragment: script.textContent.trim(),
+        inputs: inputs || undefined,
+        format: script.dataset.format,
+      };
+    });
+    const [vertex] = scripts("x-shader/x-vertex");
+
+    return {
+      fragment:
+        passes.length > 1
+          ? JSON.stringify(passes)
+          : passes[0]?.fragment || null,
+      vertex: vertex?.textContent.trim() || null,
+    };
+  }
+
+  /**
+   * Fetches the file named by fragment-shader-src or vertex-shader-src and
+   * compiles it once it arrives. When the fetch fails the element compiles
+   * without a file, falling back to its other shader sources.
+   * @param {'fragment'|'vertex'} stage - The shader stage the file is for
+   * @param {string|null} src - URL of the shader file
+   */
+  async #loadShaderFile(stage, src) {
+    // The previous file stays in use until its replacement arrives
+    let source = null;
+    if (src) {
+      try {
+        source = await MediaShader.#fetchShaderFile(src);
+      } catch (error) {
+        console.error(`Error loading ${stage} shader '${src}':`, error);
+      }
+      // Ignore files that were replaced while they loaded
+      if (this.getAttribute(`${stage}-shader-src`) !== src) return;
+    }
+    this.#shaderFileSources[stage] = source;
+    this.#recompile();
+  }
+
+  /**
+   * Fetches a shader file relative to the document. Requests are cached by
+   * URL, so elements using the same file share one fetch.
+   * @param {string} src - URL of the shader file
+   * @returns {Promise<string>} The shader source
+   */
+  static #fetchShaderFile(src) {
+    const url = new URL(src, document.baseURI).href;
+    let request = MediaShader.#shaderFiles.get(url);
+    if (!request) {
+      request = fetch(url).then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.text();
+      });
+      // Failed requests are tried again by the next element asking
+      request.catch(() => MediaShader.#shaderFiles.delete(url));
+      MediaShader.#shaderFiles.set(url, request);
+    }
+    return request;
+  }
+
+  /**
+   * Rebuilds the controls panel from the uniform annotations of the current
+   * shaders, or removes it when the controls attribute is absent.
+   */
+  #updateControls() {
+    this.#controlsPanel?.remove();
+    this.#controlsPanel = null;
+    this.#controls = [];
+
+    if (!this.controls) return;
+
+    // Per-pass uniforms get a control per pass, global ones one per name
+    const perPass = this.#passUniforms.length > 0;
+    const seen = new Set();
+
+    this.#shaderSources.forEach(({ vertex, fragment }, pass) => {
+      const uniformInfo = this.#isMultiPass
+        ? this.#passUniformInfo[pass]
+        : this.#uniformInfo;
+
+      for (const source of [vertex, fragment]) {
+        for (const control of MediaShader.#parseControls(source)) {
+          const key = perPass ? `${pass}:${control.name}` : control.name;
+          // Skip uniforms the compiler optimized out, they'd do nothing
+          if (seen.has(key) || !uniformInfo?.has(control.name)) continue;
+          seen.add(key);
+
+          this.#controls.push({
+            ...control,
+            pass: perPass ? pass : undefined,
+          });
+        }
+      }
+    });
+
+    if (this.#controls.length === 0) return;
+
+    const panel = document.createElement("form");
+    panel.className = "controls";
+    panel.setAttribute("part", "controls");
+    panel.addEventListener("submit", (event) => event.preventDefault());
+
+    // Keep interaction with the panel out of u_mouse and u_pointers
+    for (const type of ["pointerdown", "pointermove", "pointerup"]) {
+      panel.addEventListener(type, (event) => event.stopPropagation());
+    }
+
+    for (const control of this.#controls) {
+      panel.appendChild(this.#createControl(control));
+    }
+
+    this.#controlsPanel = panel;
+    this.shadowRoot.appendChild(panel);
+    this.#syncControls();
+  }
+
+  /**
+   * Creates the labelled input element for a control.
+   * @param {Object} control - The control description
+   * @returns {HTMLLabelElement} The control row
+   */
+  #createControl(control) {
+    const row = document.createElement("label");
+    row.setAttribute("part", "control");
+
+    const label = document.createElement("span");
+    label.textContent =
+      control.pass === undefined
+        ? control.label
+        : `${control.label} (${
+            this.#passes[control.pass]?.name ?? control.pass
+          })`;
+    row.appendChild(label);
+
+    let input;
+    if (control.kind === "select") {
+      input = document.createElement("select");
+      for (const option of control.options) {
+        const element = document.createElement("option");
+        element.value = String(option.value);
+        element.textContent = option.label;
+        input.appendChild(element);
+      }
+    } else {
+      input = document.createElement("input");
+      input.type = control.kind;
+      if (control.kind === "range") {
+        input.min = control.min;
+        input.max = control.max;
+        input.step = control.step;
+      }
+    }
+    row.appendChild(input);
+
+    const output = document.createElement("output");
+    if (control.kind === "range") {
+      row.appendChild(output);
+    }
+
+    control.input = input;
+    control.output = output;
+    input.addEventListener("input", () => {
+      output.value = input.value;
+      this.#writeControl(control);
+    });
+
+    return row;
+  }
+
+  /**
+   * Updates the panel inputs from the current uniform values.
+   */
+  #syncControls() {
+    for (const control of this.#controls) {
+      const value = this.#controlValue(control);
+      if (value === null || value === undefined) continue;
+
+      if (control.kind === "checkbox") {
+        control.input.checked = Boolean(value);
+      } else if (control.kind === "color") {
+        control.input.value = MediaShader.#toHexColor(value);
+      } else {
+        control.input.value = String(Number(value));
+      }
+      control.output.value = control.input.value;
+    }
+  }
+
+  /**
+   * Gets the current value of a controlled uniform. Uniforms that haven't been
+   * set yet report the value the program holds, i.e. their GLSL initializer.
+   * @param {Object} control - The control description
+   * @returns {*} The uniform value, or null if unknown
+   */
+  #controlValue(control) {
+    const uniforms =
+      control.pass === undefined
+        ? this.#uniforms
+        : this.#passUniforms[control.pass] || {};
+    if (control.name in uniforms) return uniforms[control.name];
+
+    const program = this.#isMultiPass
+      ? this.programs[control.pass ?? 0]
+      : this.program;
+    const location =
+      program && this.gl?.getUniformLocation(program, control.name);
+    return location ? this.gl.getUniform(program, location) : null;
+  }
+
+  /**
+   * Writes the value of a control's input back through the uniforms attribute,
+   * or only into the uniforms in use while the attribute doesn't parse.
+   * @param {Object} control - The control description
+   */
+  #writeControl(control) {
+    let value;
+    if (control.kind === "checkbox") {
+      value = control.input.checked;
+    } else if (control.kind === "color") {
+      value = MediaShader.#toUniformValue(control.input.value);
+      // vec4 colors keep their alpha, the color input has none
+      if (control.type === "vec4") {
+        value.push(Array.from(this.#controlValue(control) ?? [])[3] ?? 1);
+      }
+    } else {
+      value = Number(control.input.value);
+    }
+
+    let uniforms = null;
+    try {
+      uniforms = JSON.parse(this.getAttribute("uniforms") || "{}");
+    } catch (error) {
+      // Keep an attribute that doesn't parse, only the value in use changes
+    }
+
+    if (!uniforms) {
+      if (control.pass === undefined) {
+        this.#uniforms[control.name] = value;
+      } else {
+        this.#passUniforms[control.pass] = {
+          ...this.#passUniforms[control.pass],
+          [control.name]: value,
+        };
+      }
+      this.requestRender();
+    } else if (control.pass === undefined && !Array.isArray(uniforms)) {
+      uniforms[control.name] = value;
+      this.uniforms = uniforms;
+    } else {
+      // Global values would reach every pass declaring the uniform, so
+      // they move into each pass before one pass gets its own value
+      const pass = control.pass ?? 0;
+      if (!Array.isArray(uniforms)) {
+        const global = uniforms;
+        uniforms = Array.from(
+          { length: Math.max(this.programs.length, pass + 1) },
+          () => ({ ...global })
+        );
+      }
+      uniforms[pass] = { ...uniforms[pass], [control.name]: value };
+      this.uniforms = uniforms;
+    }
+
+    this.dispatchEvent(
+      new CustomEvent("uniformchange", {
+        detail: { name: control.name, value, pass: control.pass },
+      })
+    );
+  }
+
+  /**
+   * Finds the uniforms in a shader source that can have a control.
+   * Annotations are read from a comment after the declaration or on the line
+   * before it: `@range min max [step s]`, `@color`, `@options 0:Off 1:On`
+   * and `@label Text`. bool uniforms get a checkbox without annotation.
+   * @param {string} source - The GLSL source
+   * @returns {Object[]} Control descriptions `{name, type, kind, label, ...}`
+   */
+  static #parseControls(source) {
+    const controls = [];
+    const declaration =
+      /(?:\/\/[ \t]*(@[^\n]*)\n[ \t]*)?uniform\s+(?:(?:lowp|mediump|highp)\s+)?(\w+)\s+(\w+)\s*(\[[^\]]*\])?\s*;(?:[ \t]*\/\/[ \t]*(@[^\n]*))?/g;
+
+    for (const [, before, type, name, array, after] of source.matchAll(
+      declaration
+    )) {
+      if (array) continue;
+
+      const tags = {};
+      const text = [before, after].filter(Boolean).join(" ");
+      for (const [, tag, args] of text.matchAll(/@(\w+)([^@]*)/g)) {
+        tags[tag] = args.trim();
+      }
+
+      const control = { name, type, label: tags.label || name };
+      const scalar = ["float", "int", "uint"].includes(type);
+
+      if (tags.options !== undefined && scalar) {
+        control.kind = "select";
+        control.options = tags.options
+          .split(/\s+/)
+          .filter(Boolean)
+          .map((token) => {
+            const [value, label] = token.split(":");
+            return { value: Number(value), label: label ?? value };
+          });
+      } else if (tags.color !== undefined && /^vec[34]$/.test(type)) {
+        control.kind = "color";
+      } else if (tags.range !== undefined && scalar) {
+        const [, min = 0, max = 1, step] =
+          tags.range.match(/^(\S+)\s+(\S+)(?:\s+step\s+(\S+))?/) || [];
+        control.kind = "range";
+        control.min = Number(min);
+        control.max = Number(max);
+        control.step = step ? Number(step) : type === "float" ? "any" : 1;
+      } else if (type === "bool") {
+        control.kind = "checkbox";
+      } else {
+        continue;
+      }
+
+      controls.push(control);
+    }
+
+    return controls;
+  }
+
+  /**
+   * Converts a color uniform value to a hex string for a color input.
+   * @param {number[]|string} value - `[r, g, b(, a)]` in the 0-1 range or a hex color
+   * @returns {string} The color as '#rrggbb'
+   */
+  static #toHexColor(value) {
+    const channels = Array.from(MediaShader.#toUniformValue(value) || []);
+    return `#${channels
+      .slice(0, 3)
+      .map((channel) =>
+        Math.round(Math.min(Math.max(channel, 0), 1) * 255)
+          .toString(16)
+          .padStart(2, "0")
+      )
+      .join("")}`;
+  }
+
+  /**
+   * Smoothly animates a uniform from its current value to a target value.
+   * Scalars, vectors and colors (hex strings such as '#ff8800') are
+   * interpolated; booleans switch at the end. Starting a new animation of the
+   * same uniform cancels the running one, and so does cleanup(). With
+   * clock="manual" animations follow the shader clock.
+   * @param {string} name - The uniform name
+   * @param {number|number[]|string|boolean} target - The value to animate to
+   * @param {Object} [options]
+   * @param {number} [options.duration=300] - Duration in milliseconds
+   * @param {string|Function} [options.easing='ease'] - CSS easing name, 'cubic-bezier(...)', or a function of progress
+   * @param {number} [options.delay=0] - Delay before starting in milliseconds
+   * @param {number} [options.pass] - Pass index for per-pass uniforms, global if omitted
+   * @returns {{finished: Promise<boolean>, cancel: Function}} A handle whose
+   *   `finished` promise resolves to true on completion or false when cancelled
+   */
+  animateUniform(
+    name,
+    target,
+    { duration = 300, easing = "ease", delay = 0, pass } = {}
+  ) {
+    const key = `${pass ?? ""}:${name}`;
+    this.#animations.get(key)?.cancel();
+
+    const to = MediaShader.#toUniformValue(target);
+    const uniforms = this.#uniformStore(pass);
+    const from = name in uniforms ? uniforms[name] : MediaShader.#zeroLike(to);
+
+    // New uniforms need their locations looked up
+    if (!(name in uniforms)) {
+      uniforms[name] = from;
+      this.#refreshUniformLocations();
+    }
+
+    let resolveFinished;
+    const finished = new Promise((resolve) => (resolveFinished = resolve));
+
+    const animation = {
+      name,
+      pass,
+      from,
+      to,
+      start: this.#animationTime() + delay,
+      duration: Math.max(0, duration),
+      easing: MediaShader.#easingFunction(easing),
+      finish: (completed) => {
+        if (this.#animations.get(key) === animation) {
+          this.#animations.delete(key);
+        }
+        resolveFinished(completed);
+      },
+      cancel: () => animation.finish(false),
+    };
+    this.#animations.set(key, animation);
+    this.requestRender();
+
+    return { finished, cancel: animation.cancel };
+  }
+
+  /**
+   * Updates the uniform keyframe timeline from a JSON string.
+   * The timeline has the shape
+   * `{duration, uniforms: {name: keyframes}, passes: [{name: keyframes}]}`,
+   * where each keyframe is `{time, value, easing}` with time in seconds on
+   * the shader clock and easing applied on the way into that keyframe.
+   * When `duration` is set the timeline loops with that period.
+   * @param {string} timelineStr - JSON string containing the timeline
+   */
+  updateTimeline(timelineStr) {
+    try {
+      const parsed = timelineStr ? JSON.parse(timelineStr) : null;
+      if (!parsed) {
+        this.#timeline = null;
+        this.requestRender();
+        return;
+      }
+
+      const parseTracks = (tracks = {}) =>
+        Object.entries(tracks).map(([name, keyframes]) => ({
+          name,
+          keyframes: keyframes
+            .map((keyframe) => ({
+              time: Number(keyframe.time) || 0,
+              value: MediaShader.#toUniformValue(keyframe.value),
+              easing: MediaShader.#easingFunction(keyframe.easing || "linear"),
+            }))
+            .sort((a, b) => a.time - b.time),
+        }));
+
+      this.#timeline = {
+        duration: Number(parsed.duration) || 0,
+        uniforms: parseTracks(parsed.uniforms),
+        passes: (parsed.passes || []).map(parseTracks),
+      };
+
+      // Write initial values so new uniforms get their locations
+      this.#applyTimeline();
+      this.#refreshUniformLocations();
+      this.requestRender();
+    } catch (error) {
+      console.error("Error parsing timeline JSON:", error);
+    }
+  }
+
+  /**
+   * Advances running uniform animations and evaluates the timeline.
+   * Called once per frame before rendering.
+   */
+  #updateAnimations() {
+    const now = this.#animationTime();
+
+    for (const animation of [...this.#animations.values()]) {
+      const elapsed = now - animation.start;
+      if (elapsed < 0) continue;
+
+      const progress =
+        animation.duration > 0 ? Math.min(1, elapsed / animation.duration) : 1;
+      this.#uniformStore(animation.pass)[animation.name] =
+        MediaShader.#interpolate(
+          animation.from,
+          animation.to,
+          animation.easing(progress)
+        );
+
+      if (progress >= 1) {
+        animation.finish(true);
+      }
+    }
+
+    this.#applyTimeline();
+  }
+
+  /**
+   * Gets the time uniform animations run on, in milliseconds. With
+   * clock="manual" that is the shader clock, so renderFrame(time) gives the
+   * same values every time; otherwise it is wall time.
+   * @returns {number} The animation time in milliseconds
+   */
+  #animationTime() {
+    return this.clock === "manual"
+      ? this.#currentTime() * 1000
+      : performance.now();
+  }
+
+  /**
+   * Writes the timeline's values at the current shader time into the uniforms.
+   */
+  #applyTimeline() {
+    if (!this.#timeline) return;
+
+    let time = this.#currentTime();
+    if (this.#timeline.duration > 0) {
+      time %= this.#timeline.duration;
+    }
+
+    const applyTracks = (tracks, uniforms) => {
+      for (const { name, keyframes } of tracks) {
+        if (keyframes.length === 0) continue;
+
+        const nextIndex = keyframes.findIndex(
+          (keyframe) => keyframe.time > time
+        );
+        if (nextIndex === 0) {
+          uniforms[name] = keyframes[0].value;
+        } else if (nextIndex === -1) {
+          uniforms[name] = keyframes[keyframes.length - 1].value;
+        } else {
+          const from = keyframes[nextIndex - 1];
+          const to = keyframes[nextIndex];
+          const progress = (time - from.time) / (to.time - from.time);
+          uniforms[name] = MediaShader.#interpolate(
+            from.value,
+            to.value,
+            to.easing(progress)
+          );
+        }
+      }
+    };
+
+    applyTracks(this.#timeline.uniforms, this.#uniforms);
+    this.#timeline.passes.forEach((tracks, passIndex) =>
+      applyTracks(tracks, this.#uniformStore(passIndex))
+    );
+  }
+
+  /**
+   * Gets the object holding global or per-pass uniform values.
+   * @param {number} [pass] - Pass index, or undefined for global uniforms
+   * @returns {Object} The uniform values
+   */
+  #uniformStore(pass) {
+    if (pass === undefined || pass === null) return this.#uniforms;
+
+    if (!this.#passUniforms[pass]) {
+      this.#passUniforms[pass] = {};
+    }
+    return this.#passUniforms[pass];
+  }
+
+  /**
+   * Converts animation values to uniform values, turning hex colors into
+   * `[r, g, b]` or `[r, g, b, a]` arrays in the 0-1 range.
+   * @param {*} value - A number, array, boolean or color string
+   * @returns {*} The uniform value
+   */
+  static #toUniformValue(value) {
+    if (typeof value !== "string") return value;
+
+    const hex = value.trim().replace(/^#/, "");
+    const digits =
+      hex.length === 3 || hex.length === 4
+        ? hex.split("").map((digit) => digit + digit)
+        : hex.match(/../g) || [];
+
+    if (!/^[0-9a-f]+$/i.test(hex) || ![3, 4].includes(digits.length)) {
+      console.warn(`Unsupported uniform animation value '${value}'`);
+      return 0;
+    }
+    return digits.map((digit) => parseInt(digit, 16) / 255);
+  }
+
+  /**
+   * Creates a zero value with the same shape as a uniform value.
+   * @param {*} value - The uniform value
+   * @returns {*} Zero, a zero-filled array, or false
+   */
+  static #zeroLike(value) {
+    if (Array.isArray(value)) return value.map(MediaShader.#zeroLike);
+    if (typeof value === "boolean") return false;
+    return 0;
+  }
+
+  /**
+   * Interpolates between two uniform values.
+   * @param {*} from - The start value
+   * @param {*} to - The end value
+   * @param {number} t - Eased progress, usually from 0 to 1
+   * @returns {*} The interpolated value
+   */
+  static #interpolate(from, to, t) {
+    if (Array.isArray(to)) {
+      return to.map((value, index) =>
+        MediaShader.#interpolate(
+          Array.isArray(from) && index < from.length ? from[index] : value,
+          value,
+          t
+        )
+      );
+    }
+    if (typeof to === "number" && typeof from === "number") {
+      return from + (to - from) * t;
+    }
+    return t >= 1 ? to : from;
+  }
+
+  /**
+   * Resolves an easing to a function of progress.
+   * @param {string|Function} easing - 'linear', 'ease', 'ease-in', 'ease-out',
+   *   'ease-in-out', 'cubic-bezier(x1, y1, x2, y2)' or a function
+   * @returns {Function} The easing function
+   */
+  static #easingFunction(easing) {
+    if (typeof easing === "function") return easing;
+
+    const presets = {
+      linear: [0, 0, 1, 1],
+      ease: [0.25, 0.1, 0.25, 1],
+      "ease-in": [0.42, 0, 1, 1],
+      "ease-out": [0, 0, 0.58, 1],
+      "ease-in-out": [0.42, 0, 0.58, 1],
+    };
+
+    let points = presets[easing];
+    const match = /^cubic-bezier\(([^)]+)\)$/.exec(easing);
+    if (match) {
+      points = match[1].split(",").map(Number);
+    }
+    if (!points || points.length !== 4 || points.some(isNaN)) {
+      console.warn(`Unknown easing '${easing}', using linear`);
+      return (t) => t;
+    }
+
+    const [x1, y1, x2, y2] = points;
+    const curve = (a, b, t) =>
+      3 * a * t * (1 - t) ** 2 + 3 * b * t ** 2 * (1 - t) + t ** 3;
+
+    return (progress) => {
+      if (progress <= 0) return 0;
+      if (progress >= 1) return 1;
+
+      // Find the curve parameter for this x by bisection
+      let low = 0;
+      let high = 1;
+      let t = progress;
+      for (let i = 0; i < 20; i++) {
+        t = (low + high) / 2;
+        if (curve(x1, x2, t) < progress) {
+          low = t;
+        } else {
+          high = t;
+        }
+      }
+      return curve(y1, y2, t);
+    };
+  }
+
+  /**
+   * Updates multi-pass shader programs from an array of shaders.
+   * Each entry is either a fragment shader string or a pass object
+   * `{name, fragment, inputs}`, where `inputs` maps sampler uniform names to
+   * `'original'`, `'previous'`, the name of an earlier pass or its index.
+   * @param {Array<string|Object>} shaders - Array of fragment shaders or pass objects
+   */
+  updateMultiPassShaders(shaders) {
+    if (this.#contextLost) return;
+
+    if (!Array.isArray(shaders) || shaders.length === 0) {
+      console.error("fragment-shaders must be a non-empty array");
+      return;
+    }
+
+    console.log(`Setting up multi-pass shaders: ${shaders.length} passes`);
+
+    if (!this.gl) return;
+
+    const passes = this.#normalizePasses(shaders);
+    if (!passes) return;
+
+    this.#errors = [];
+    this.#includedChunks.clear();
+    this.#reportedFormats.clear();
+
+    // Create shader programs for each pass, each paired with a custom vertex
+    // shader or a default one matching its GLSL version
+    const programs = [];
+    const vertexShaderSources = [];
+    for (let i = 0; i < passes.length; i++) {
+      const fragment = this.#applyDialect(
+        passes[i].fragment,
+        i === passes.length - 1
+      );
+      vertexShaderSources.push(this.#vertexShaderFor(fragment));
+      const program = this.createProgram(vertexShaderSources[i], fragment, i);
+      if (program) {
+        console.log(`Successfully created program for pass ${i}`);
+        programs.push(program);
+      } else {
+        console.error(`Failed to create shaders for pass ${i}`);
+      }
+    }
+
+    // Keep rendering the last working programs until every pass compiles
+    if (programs.length !== passes.length) {
+      for (const program of programs) {
+        this.#deleteProgram(program);
+      }
+      console.warn(
+        "Multi-pass shaders failed to compile, keeping previous programs"
+      );
+      return;
+    }
+
+    // Clean up existing single-pass program
+    if (this.program) {
+      this.#deleteProgram(this.program);
+      this.program = null;
+    }
+
+    // Clean up existing multi-pass programs
+    for (const program of this.programs) {
+      this.#deleteProgram(program);
+    }
+
+    this.#passes = passes;
+    this.#isMultiPass = true;
+    this.programs = programs;
+    this.#frameCount = 0;
+    this.#passUniformLocations = programs.map(() => new Map());
+    this.#shaderSources = passes.map((pass, i) => ({
+      vertex: vertexShaderSources[i],
+      fragment: pass.fragment,
+    }));
+
+    // Update uniform locations for all passes
+    this.updatePassUniformLocations();
+    this.updateFeedbackBuffers();
+
+    // Create framebuffers for the intermediate passes later passes read from
+    this.cleanupFramebuffers();
+    if (this.programs.length > 1) {
+      this.createFramebuffers();
+    }
+
+    console.log(
+      `Created ${this.programs.length} shader programs for multi-pass rendering`
+    );
+    this.#updateControls();
+    this.requestRender();
+
+    this.dispatchEvent(
+      new CustomEvent("shadercompiled", {
+        detail: { passes: this.programs.length },
+      })
+    );
+  }
+
+  /**
+   * Gets the built-in fragment shader for the current context. WebGL1 can't
+   * compile GLSL ES 3.00, so it gets the fallback shader instead.
+   * @returns {string} The fragment shader source
+   */
+  #builtInFragmentShader() {
+    return this.#webgl2
+      ? this.defaultFragmentShader
+      : this.fallbackFragmentShader;
+  }
+
+  /**
+   * Gets the vertex shader to pair with a fragment shader. A custom vertex
+   * shader (the vertex-shader attribute, the vertex-shader-src file or a
+   * vertex <script> child) wins; otherwise the default vertex shader is used, generated in
+   * the fragment shader's GLSL version when needed and writing the texture
+   * coordinates to every vec2 varying the fragment shader reads.
+   * @param {string} fragmentSource - The fragment shader source
+   * @param {boolean} [allowCustom=true] - Whether a custom vertex shader applies
+   * @returns {string} The vertex shader source
+   */
+  #vertexShaderFor(fragmentSource, allowCustom = true) {
+    const customVertexShader =
+      this.getAttribute("vertex-shader") ||
+      this.#shaderFileSources.vertex ||
+      this.#scriptShaders.vertex;
+    if (allowCustom && customVertexShader) return customVertexShader;
+
+    const es300 = MediaShader.#isGLSL300(fragmentSource);
+    const qualifier = es300 ? "in" : "varying";
+    const pattern = new RegExp(
+      `\\b${qualifier}\\s+(?:(?:lowp|mediump|highp)\\s+)?vec2\\s+(\\w+)\\s*;`,
+      "g"
+    );
+    const names = new Set(
+      [...fragmentSource.matchAll(pattern)].map(([, name]) => name)
+    );
+
+    if (es300 && [...names].every((name) => name === "v_tex_coord")) {
+      return this.defaultVertexShader;
+    }
+
+    const declarations = [...names]
+      .map((name) => `${es300 ? "out" : "varying"} vec2 ${name};`)
+      .join("\n");
+    const assignments = [...names]
+      .map((name) => `  ${name} = a_tex_coord;`)
+      .join("\n");
+    const attribute = es300 ? "in" : "attribute";
+
+    return `${es300 ? "#version 300 es\n" : ""}precision highp float;
+${attribute} vec4 a_position;
+${attribute} vec2 a_tex_coord;
+${declarations}
+
+void main() {
+  gl_Position = a_position;
+${assignments}
+}
+`;
+  }
+
+  /**
+   * Checks whether shader source is GLSL ES 3.00 rather than 1.00.
+   * @param {string} source - The shader source
+   * @returns {boolean} True if the source starts with `#version 300 es`
+   */
+  static #isGLSL300(source) {
+    return /^\s*#version\s+300\s+es\b/.test(source);
+  }
+
+  /**
+   * Reports a feature that can't be used on the current context.
+   * Each feature is reported once per context.
+   * @param {string} feature - The feature name
+   * @param {string} message - What happens instead
+   */
+  #reportUnavailableFeature(feature, message) {
+    if (this.#unavailableFeatures.has(feature)) return;
+    this.#unavailableFeatures.add(feature);
+
+    console.warn(message);
+    this.dispatchEvent(
+      new CustomEvent("featureunavailable", { detail: { feature, message } })
+    );
+  }
+
+  /**
+   * Turns fragment shader source written in the current dialect into GLSL ES
+   * 3.00. Shadertoy code gets a prologue mapping its inputs onto the u_*
+   * uniforms and a main() calling mainImage().
+   * @param {string} source - The fragment shader source
+   * @param {boolean} output - Whether the pass is drawn to the screen
+   * @returns {string} The fragment shader to compile
+   */
+  #applyDialect(source, output) {
+    // The built-in default shader is always plain GLSL
+    if (
+      this.dialect !== "shadertoy" ||
+      source === this.#builtInFragmentShader()
+    ) {
+      return source;
+    }
+
+    const channelResolution = [0, 1, 2, 3]
+      .map((channel) => `vec3(textureSize(iChannel${channel}, 0), 1.0)`)
+      .join(", ");
+
+    // Shadertoy shows every image opaque, intermediate passes keep their alpha
+    return `#version 300 es
+precision highp float;
+precision highp int;
+precision highp sampler2D;
+
+uniform sampler2D u_texture;
+uniform vec2 u_resolution;
+uniform float u_time;
+uniform vec4 u_mouse;
+uniform int u_frame;
+uniform float u_delta_time;
+uniform vec4 u_date;
+uniform sampler2D iChannel1;
+uniform sampler2D iChannel2;
+uniform sampler2D iChannel3;
+
+out vec4 mediaShaderFragColor;
+
+// u_mouse is normalized and top-down, iMouse is in pixels from the bottom left
+vec4 mediaShaderMouse() {
+  if (u_mouse.zw == vec2(0.0)) return vec4(0.0);
+  vec2 position = vec2(abs(u_mouse.z), 1.0 - abs(u_mouse.w)) * u_resolution;
+  return vec4(position, u_mouse.z > 0.0 ? position : -position);
+}
+
+#define iChannel0 u_texture
+#define iResolution vec3(u_resolution, 1.0)
+#define iTime u_time
+#define iMouse mediaShaderMouse()
+#define iFrame u_frame
+#define iTimeDelta u_delta_time
+#define iFrameRate (u_delta_time > 0.0 ? 1.0 / u_delta_time : 60.0)
+#define iDate u_date
+#define iChannelTime float[4](u_time, u_time, u_time, u_time)
+#define iChannelResolution vec3[4](${channelResolution})
+#define iSampleRate 44100.0
+
+#line 1
+${source}
+
+void main() {
+  mediaShaderFragColor = vec4(0.0, 0.0, 0.0, 1.0);
+  mainImage(mediaShaderFragColor, gl_FragCoord.xy);${
+    output ? "\n  mediaShaderFragColor.a = 1.0;" : ""
+  }
+}
+`;
+  }
+
+  /**
+   * Sets the frame, date, media and playback built-in uniforms.
+   * @param {Map} uniformLocations - The uniform locations for the program
+   */
+  #applyFrameUniforms(uniformLocations) {
+    const uFrame = uniformLocations.get("u_frame");
+    if (uFrame) {
+      this.gl.uniform1i(uFrame, this.#frameCount);
+    }
+
+    const uDeltaTime = uniformLocations.get("u_delta_time");
+    if (uDeltaTime) {
+      this.gl.uniform1f(uDeltaTime, this.#deltaTime);
+    }
+
+    // Year, month (0-11), day and seconds since midnight
+    const uDate = uniformLocations.get("u_date");
+    if (uDate) {
+      const date = new Date();
+      this.gl.uniform4f(
+        uDate,
+        date.getFullYear(),
+        date.getMonth(),
+        date.getDate(),
+        date.getHours() * 3600 +
+          date.getMinutes() * 60 +
+          date.getSeconds() +
+          date.getMilliseconds() / 1000
+      );
+    }
+
+    const uMediaResolution = uniformLocations.get("u_media_resolution");
+    if (uMediaResolution) {
+      this.gl.uniform2f(
+        uMediaResolution,
+        this.#hasTexture ? this.#naturalWidth || 0 : 0,
+        this.#hasTexture ? this.#naturalHeight || 0 : 0
+      );
+    }
+
+    const uMediaRect = uniformLocations.get("u_media_rect");
+    if (uMediaRect) {
+      this.gl.uniform4fv(uMediaRect, this.#mediaRect());
+    }
+
+    const uPixelRatio = uniformLocations.get("u_pixel_ratio");
+    if (uPixelRatio) {
+      this.gl.uniform1f(uPixelRatio, window.devicePixelRatio || 1);
+    }
+
+    // Playback position and length of a video source, 0 for anything else.
+    // Live streams have no finite duration and report 0 as well.
+    const video =
+      this.mediaElement?.tagName === "VIDEO" ? this.mediaElement : null;
+
+    const uVideoTime = uniformLocations.get("u_video_time");
+    if (uVideoTime) {
+      this.gl.uniform1f(uVideoTime, video?.currentTime || 0);
+    }
+
+    const uVideoDuration = uniformLocations.get("u_video_duration");
+    if (uVideoDuration) {
+      const duration = video?.duration;
+      this.gl.uniform1f(
+        uVideoDuration,
+        Number.isFinite(duration) ? duration : 0
+      );
+    }
+  }
+
+  /**
+   * Normalizes multi-pass entries into pass objects with resolved inputs.
+   * Inputs resolve to `'original'` for the media texture or the index of an
+   * earlier pass. `u_texture` defaults to the previous pass (or the media for
+   * the first pass) and is always bound to texture unit 0.
+   * @param {Array<string|Object>} shaders - Array of fragment shaders or pass objects
+   * @returns {Object[]|null} The normalized passes or null if the graph is invalid
+   */
+  #normalizePasses(shaders) {
+    const passes = [];
+
+    for (let i = 0; i < shaders.length; i++) {
+      const entry =
+        typeof shaders[i] === "string" ? { fragment: shaders[i] } : shaders[i];
+
+      if (!entry || typeof entry.fragment !== "string") {
+        console.error(
+          `Pass ${i} must be a shader string or an object with a fragment shader`
+        );
+        return null;
+      }
+
+      const name = entry.name ?? null;
+      if (name !== null && passes.some((pass) => pass.name === name)) {
+        console.error(`Pass name '${name}' is used more than once`);
+        return null;
+      }
+
+      const inputs = {};
+      for (const [uniformName, source] of Object.entries({
+        u_texture: "previous",
+        ...entry.inputs,
+      })) {
+        let index;
+        if (source === "original" || (source === "previous" && i === 0)) {
+          index = "original";
+        } else if (source === "previous") {
+          index = i - 1;
+        } else if (typeof source === "number") {
+          index = source;
+        } else {
+          index = passes.findIndex((pass) => pass.name === source);
+        }
+
+        if (index !== "original" && !(index >= 0 && index < i)) {
+          console.error(
+            `Input '${source}' for ${uniformName} in pass ${i} does not name an earlier pass`
+          );
+          return null;
+        }
+
+        inputs[uniformName] = index;
+      }
+
+      const format =
+        typeof entry.format === "string"
+          ? entry.format.toUpperCase()
+          : entry.format ?? "RGBA8";
+      if (!Object.hasOwn(MediaShader.#formatFallbacks, format)) {
+        console.error(
+          `Unknown format '${entry.format}' for pass ${i}, use RGBA8, RGBA16F or RGBA32F`
+        );
+        return null;
+      }
+
+      passes.push({ name, fragment: entry.fragment, inputs, format });
+    }
+
+    return passes;
+  }
+
+  /**
+   * Updates uniform locations for all passes.
+   */
+  updatePassUniformLocations() {
+    if (!this.gl || !this.#isMultiPass) return;
+
+    // Update uniform locations for each pass
+    for (let passIndex = 0; passIndex < this.programs.length; passIndex++) {
+      const program = this.programs[passIndex];
+      const uniformLocations = this.#passUniformLocations[passIndex];
+
+      if (!uniformLocations) continue;
+
+      uniformLocations.clear();
+      this.#passUniformInfo[passIndex] = this.#reflectUniforms(program);
+
+      // Get locations for built-in uniforms
+      const builtInUniforms = [
+        "u_texture",
+        "u_resolution",
+        "u_time",
+        "u_mouse",
+        "u_pointers",
+        "u_pointer_ids",
+        "u_pointer_count",
+        "u_has_texture",
+        "u_frame",
+        "u_delta_time",
+        "u_date",
+        "u_media_resolution",
+        "u_media_rect",
+        "u_pixel_ratio",
+        "u_video_time",
+        "u_video_duration",
+        "iChannel1",
+        "iChannel2",
+        "iChannel3",
+      ];
+      for (const uniformName of builtInUniforms) {
+        const location = this.gl.getUniformLocation(program, uniformName);
+        if (location !== null) {
+          uniformLocations.set(uniformName, location);
+        }
+      }
+
+      // Get locations for the samplers this pass reads its inputs from
+      for (const uniformName of Object.keys(
+        this.#passes[passIndex]?.inputs || {}
+      )) {
+        const location = this.gl.getUniformLocation(program, uniformName);
+        if (location !== null) {
+          uniformLocations.set(uniformName, location);
+        }
+      }
+
+      // Get locations for additional input textures and previous-frame samplers
+      this.#updateTextureUniformLocations(program, uniformLocations);
+      this.#updateFeedbackUniformLocations(
+        program,
+        uniformLocations,
+        this.programs.length
+      );
+
+      // Get locations for global uniforms
+      for (const uniformName of Object.keys(this.#uniforms)) {
+        const location = this.gl.getUniformLocation(program, uniformName);
+        if (location !== null) {
+          uniformLocations.set(uniformName, location);
+        }
+      }
+
+      // Get locations for pass-specific uniforms
+      if (this.#passUniforms[passIndex]) {
+        for (const uniformName of Object.keys(this.#passUniforms[passIndex])) {
+          const location = this.gl.getUniformLocation(program, uniformName);
+          if (location !== null) {
+            uniformLocations.set(uniformName, location);
+          }
+        }
+      }
+    }
+
+    this.#updateTouchAction();
+  }
+
+  /**
+   * Updates the locations of built-in uniforms only (used during initialization).
+   */
+  updateBuiltInUniformLocations() {
+    // Only get locations for built-in uniforms during initialization
+    const builtInUniforms = [
+      "u_resolution",
+      "u_texture",
+      "u_time",
+      "u_mouse",
+      "u_has_texture",
+      "u_frame",
+      "u_delta_time",
+      "u_date",
+      "u_media_resolution",
+      "u_media_rect",
+      "u_pixel_ratio",
+      "u_video_time",
+      "u_video_duration",
+      "iChannel1",
+      "iChannel2",
+      "iChannel3",
+    ];
+
+    for (const uniformName of builtInUniforms) {
+      const location = this.gl.getUniformLocation(this.program, uniformName);
+      if (location !== null) {
+        this.#uniformLocations.set(uniformName, location);
+      }
+    }
+  }
+
+  /**
+   * Updates the locations of uniforms in the shader program.
+   */
+  updateUniformLocations() {
+    this.#uniformLocations.clear();
+    this.#uniformInfo = this.program
+      ? this.#reflectUniforms(this.program)
+      : new Map();
+
+    // Get locations for all uniforms
+    for (const name of Object.keys(this.#uniforms)) {
+      const location = this.gl.getUniformLocation(this.program, name);
+      if (location !== null) {
+        this.#uniformLocations.set(name, location);
+      } else {
+        // Only warn about missing uniforms if we're not using the default shader
+        // During initialization, uniforms may not exist in the default shader
+        const isDefaultShader =
+          this.fragmentShader === this.#builtInFragmentShader() ||
+          !this.getAttribute("fragment-shader");
+        if (!isDefaultShader) {
+          console.warn(`Uniform '${name}' not found in shader program`);
+        }
+      }
+    }
+
+    // Also get locations for built-in uniforms
+    const uResolution = this.gl.getUniformLocation(
+      this.program,
+      "u_resolution"
+    );
+    if (uResolution !== null) {
+      this.#uniformLocations.set("u_resolution", uResolution);
+    }
+
+    const uTexture = this.gl.getUniformLocation(this.program, "u_texture");
+    if (uTexture !== null) {
+      this.#uniformLocations.set("u_texture", uTexture);
+    }
+
+    // Add new built-in uniform locations
+    const uTime = this.gl.getUniformLocation(this.program, "u_time");
+    if (uTime !== null) {
+      this.#uniformLocations.set("u_time", uTime);
+    }
 
-            if (isBoolean || isInteger) {
-              // Convert booleans to integers (0/1) and pass as integer array
-              const intArray = value.map((v) =>
-                typeof v === "boolean" ? (v ? 1 : 0) : v
-              );
-              this.gl.uniform1iv(location, new Int32Array(intArray));
-            } else {
-              // Assume float array for any other numeric values
-              this.gl.uniform1fv(location, new Float32Array(flatValue));
-            }
-          }
-        }
-      } else if (typeof value === "number") {
-        if (Number.isInteger(value)) {
-          const regex = new RegExp(`uniform(.*)float(.*)${name}\\s*;`);
-          const match = regex.exec(this.#fragmentShaders[passIndex]); //match for this pass
-          if (match) {
-            this.gl.uniform1f(location, value);
-          } else {
-            this.gl.uniform1i(location, value);
-          }
-        } else {
-          this.gl.uniform1f(location, value);
-        }
-      } else if (typeof value === "boolean") {
-        this.gl.uniform1i(location, value ? 1 : 0);
+    const uMouse = this.gl.getUniformLocation(this.program, "u_mouse");
+    if (uMouse !== null) {
+      this.#uniformLocations.set("u_mouse", uMouse);
+    }
+
+    const builtInUniforms = [
+      "u_pointers",
+      "u_pointer_ids",
+      "u_pointer_count",
+      "u_frame",
+      "u_delta_time",
+      "u_date",
+      "u_media_resolution",
+      "u_media_rect",
+      "u_pixel_ratio",
+      "u_video_time",
+      "u_video_duration",
+      "iChannel1",
+      "iChannel2",
+      "iChannel3",
+    ];
+    for (const name of builtInUniforms) {
+      const location = this.gl.getUniformLocation(this.program, name);
+      if (location !== null) {
+        this.#uniformLocations.set(name, location);
       }
-    };
+    }
+
+    // Add new built-in uniform locations
+    const uHasTexture = this.gl.getUniformLocation(
+      this.program,
+      "u_has_texture"
+    );
+    if (uHasTexture !== null) {
+      this.#uniformLocations.set("u_has_texture", uHasTexture);
+    }
+
+    // Get locations for additional input textures and previous-frame samplers
+    this.#updateTextureUniformLocations(this.program, this.#uniformLocations);
+    this.#updateFeedbackUniformLocations(
+      this.program,
+      this.#uniformLocations,
+      1
+    );
+    this.#updateTouchAction();
+  }
+
+  /**
+   * Gets the active uniforms of the current program(s) as reported by WebGL.
+   * Each uniform maps to `{type, size}`, where type is the GLSL type name
+   * (e.g. 'vec3', 'mat3x4', 'uvec2', 'sampler2D') and size is the array length.
+   * Uniforms optimized out by the compiler are not listed.
+   * @returns {Object|Object[]} Uniform info for single-pass, or an array per pass for multi-pass
+   */
+  get uniformInfo() {
+    const toObject = (uniformInfo) =>
+      Object.fromEntries(
+        [...uniformInfo].map(([name, { type, size }]) => [name, { type, size }])
+      );
+
+    return this.#isMultiPass
+      ? this.#passUniformInfo.map(toObject)
+      : toObject(this.#uniformInfo);
+  }
+
+  /**
+   * Reads the active uniforms of a linked program.
+   * @param {WebGLProgram} program - The linked shader program
+   * @returns {Map} Uniform name -> `{type, size, components, setter, data, matrix}`
+   */
+  #reflectUniforms(program) {
+    const uniformInfo = new Map();
+    const types = this.#uniformTypes();
+    const count = this.gl.getProgramParameter(program, this.gl.ACTIVE_UNIFORMS);
+
+    for (let i = 0; i < count; i++) {
+      const active = this.gl.getActiveUniform(program, i);
+      if (!active) continue;
+
+      // Arrays are reported as 'name[0]'
+      const name = active.name.replace(/\[0\]$/, "");
+      const type = types.get(active.type) || { type: "unknown" };
+      uniformInfo.set(name, { ...type, size: active.size });
+    }
+
+    return uniformInfo;
+  }
+
+  /**
+   * Gets the table of GLSL uniform types for the current context, keyed by
+   * WebGL type enum. Types the context doesn't support are left out.
+   * @returns {Map} Type enum -> `{type, components, setter, data, matrix}`
+   */
+  #uniformTypes() {
+    if (this.#uniformTypeTable) return this.#uniformTypeTable;
+
+    // [enum name, GLSL type, components, setter, array type]
+    const definitions = [
+      ["FLOAT", "float", 1, "uniform1fv", Float32Array],
+      ["FLOAT_VEC2", "vec2", 2, "uniform2fv", Float32Array],
+      ["FLOAT_VEC3", "vec3", 3, "uniform3fv", Float32Array],
+      ["FLOAT_VEC4", "vec4", 4, "uniform4fv", Float32Array],
+      ["INT", "int", 1, "uniform1iv", Int32Array],
+      ["INT_VEC2", "ivec2", 2, "uniform2iv", Int32Array],
+      ["INT_VEC3", "ivec3", 3, "uniform3iv", Int32Array],
+      ["INT_VEC4", "ivec4", 4, "uniform4iv", Int32Array],
+      ["BOOL", "bool", 1, "uniform1iv", Int32Array],
+      ["BOOL_VEC2", "bvec2", 2, "uniform2iv", Int32Array],
+      ["BOOL_VEC3", "bvec3", 3, "uniform3iv", Int32Array],
+      ["BOOL_VEC4", "bvec4", 4, "uniform4iv", Int32Array],
+      ["UNSIGNED_INT", "uint", 1, "uniform1uiv", Uint32Array],
+      ["UNSIGNED_INT_VEC2", "uvec2", 2, "uniform2uiv", Uint32Array],
+      ["UNSIGNED_INT_VEC3", "uvec3", 3, "uniform3uiv", Uint32Array],
+      ["UNSIGNED_INT_VEC4", "uvec4", 4, "uniform4uiv", Uint32Array],
+      ["FLOAT_MAT2", "mat2", 4, "uniformMatrix2fv", Float32Array],
+      ["FLOAT_MAT3", "mat3", 9, "uniformMatrix3fv", Float32Array],
+      ["FLOAT_MAT4", "mat4", 16, "uniformMatrix4fv", Float32Array],
+      ["FLOAT_MAT2x3", "mat2x3", 6, "uniformMatrix2x3fv", Float32Array],
+      ["FLOAT_MAT2x4", "mat2x4", 8, "uniformMatrix2x4fv", Float32Array],
+      ["FLOAT_MAT3x2", "mat3x2", 6, "uniformMatrix3x2fv", Float32Array],
+      ["FLOAT_MAT3x4", "mat3x4", 12, "uniformMatrix3x4fv", Float32Array],
+      ["FLOAT_MAT4x2", "mat4x2", 8, "uniformMatrix4x2fv", Float32Array],
+      ["FLOAT_MAT4x3", "mat4x3", 12, "uniformMatrix4x3fv", Float32Array],
+      // Samplers are bound by the component, so they have no setter
+      ["SAMPLER_2D", "sampler2D", 1],
+      ["SAMPLER_3D", "sampler3D", 1],
+      ["SAMPLER_CUBE", "samplerCube", 1],
+      ["SAMPLER_2D_SHADOW", "sampler2DShadow", 1],
+      ["SAMPLER_2D_ARRAY", "sampler2DArray", 1],
+      ["SAMPLER_2D_ARRAY_SHADOW", "sampler2DArrayShadow", 1],
+      ["SAMPLER_CUBE_SHADOW", "samplerCubeShadow", 1],
+      ["INT_SAMPLER_2D", "isampler2D", 1],
+      ["INT_SAMPLER_3D", "isampler3D", 1],
+      ["INT_SAMPLER_CUBE", "isamplerCube", 1],
+      ["INT_SAMPLER_2D_ARRAY", "isampler2DArray", 1],
+      ["UNSIGNED_INT_SAMPLER_2D", "usampler2D", 1],
+      ["UNSIGNED_INT_SAMPLER_3D", "usampler3D", 1],
+      ["UNSIGNED_INT_SAMPLER_CUBE", "usamplerCube", 1],
+      ["UNSIGNED_INT_SAMPLER_2D_ARRAY", "usampler2DArray", 1],
+    ];
+
+    this.#uniformTypeTable = new Map();
+    for (const [enumName, type, components, setter, data] of definitions) {
+      const value = this.gl[enumName];
+      if (value === undefined) continue;
+
+      this.#uniformTypeTable.set(value, {
+        type,
+        components,
+        setter: setter || null,
+        data: data || null,
+        matrix: type.startsWith("mat"),
+      });
+    }
+
+    return this.#uniformTypeTable;
+  }
+
+  /**
+   * Flattens a uniform value into numbers, so vectors, matrices and arrays can
+   * be given as flat or nested arrays; booleans become 0 or 1.
+   * @param {*} value - The uniform value
+   * @param {number} components - Number of values per element of the uniform
+   * @returns {number[]} The flattened values
+   */
+  static #flattenUniformValue(value, components) {
+    let values = [value];
+    if (Array.isArray(value)) {
+      // Nested arrays hold one element each, trim them to the element size
+      values = (
+        value.every((item) => Array.isArray(item))
+          ? value.map((item) => item.slice(0, components))
+          : value
+      ).flat(Infinity);
+    }
+    return values.map((item) =>
+      typeof item === "boolean" ? (item ? 1 : 0) : Number(item)
+    );
+  }
+
+  /**
+   * Uploads a uniform value according to its reflected type.
+   * Values are flattened with #flattenUniformValue. Extra values are ignored.
+   * @param {Map} uniformInfo - Reflected uniforms of the program
+   * @param {string} name - The uniform name
+   * @param {WebGLUniformLocation} location - The uniform location
+   * @param {*} value - The uniform value
+   */
+  #setUniform(uniformInfo, name, location, value) {
+    // 'name[2]' addresses a single element of an array uniform
+    const info =
+      uniformInfo.get(name) || uniformInfo.get(name.replace(/\[\d+\]$/, ""));
+    if (!info || !info.setter) return;
+
+    const values = MediaShader.#flattenUniformValue(value, info.components);
+
+    const count = Math.min(
+      info.size,
+      Math.floor(values.length / info.components)
+    );
+    if (count === 0) {
+      console.warn(
+        `Uniform '${name}' (${info.type}) expects ${info.components} values, got ${values.length}`
+      );
+      return;
+    }
+
+    const data = new info.data(values.slice(0, count * info.components));
+    if (info.matrix) {
+      this.gl[info.setter](location, false, data);
+    } else {
+      this.gl[info.setter](location, data);
+    }
+  }
+
+  /**
+   * Applies current uniform values to the shader program.
+   */
+  applyUniforms() {
+    if (!this.gl || !this.program) return;
+
+    this.gl.useProgram(this.program);
+
+    // Apply each uniform based on its reflected type
+    for (const [name, value] of Object.entries(this.#uniforms)) {
+      const location = this.#uniformLocations.get(name);
+      if (location === undefined) {
+        //console.warn(`No location found for uniform '${name}'`);
+        continue;
+      }
+
+      this.#setUniform(this.#uniformInfo, name, location, value);
+    }
+  }
+
+  /**
+   * Applies uniforms for a specific pass.
+   * @param {number} passIndex - The index of the pass
+   * @param {WebGLProgram} program - The shader program for this pass
+   * @param {Map} uniformLocations - The uniform locations for this pass
+   */
+  applyPassUniforms(passIndex, program, uniformLocations) {
+    if (!this.gl || !program || !uniformLocations) return;
+
+    this.gl.useProgram(program);
+
+    const uniformInfo = this.#passUniformInfo[passIndex] || new Map();
 
     // Apply global uniforms
     for (const [name, value] of Object.entries(this.#uniforms)) {
       const location = uniformLocations.get(name);
       if (location !== undefined) {
-        setUniform(name, location, value);
+        this.#setUniform(uniformInfo, name, location, value);
       }
     }
 
@@ -1980,105 +5642,503 @@ class MediaShader extends HTMLElement {
       )) {
         const location = uniformLocations.get(name);
         if (location !== undefined) {
-          setUniform(name, location, value);
+          this.#setUniform(uniformInfo, name, location, value);
+        }
+      }
+    }
+
+    // Apply built-in uniforms
+    const uResolution = uniformLocations.get("u_resolution");
+    if (uResolution) {
+      const { width, height } = this.#targetSize();
+      this.gl.uniform2f(uResolution, width, height);
+    }
+
+    const uTime = uniformLocations.get("u_time");
+    if (uTime) {
+      this.gl.uniform1f(uTime, this.#currentTime());
+    }
+
+    const uMouse = uniformLocations.get("u_mouse");
+    if (uMouse) {
+      this.gl.uniform4fv(uMouse, this.#mouseData);
+    }
+
+    this.#applyPointerUniforms(uniformLocations);
+    this.#applyFrameUniforms(uniformLocations);
+
+    const uHasTexture = uniformLocations.get("u_has_texture");
+    if (uHasTexture) {
+      this.gl.uniform1i(uHasTexture, this.#hasTexture ? 1 : 0);
+    }
+
+    const uTexture = uniformLocations.get("u_texture");
+    if (uTexture) {
+      this.gl.uniform1i(uTexture, 0);
+    }
+  }
+
+  /**
+   * Renders the current shader state offscreen at any resolution and encodes it.
+   * All passes, uniforms, textures and the current time are used; feedback
+   * buffers are sampled but not advanced. When only one dimension is given,
+   * the other follows the canvas aspect ratio.
+   * @param {Object} [options]
+   * @param {number} [options.width] - Width of the image in pixels, defaults to the canvas width
+   * @param {number} [options.height] - Height of the image in pixels, defaults to the canvas height
+   * @param {string} [options.type='image/png'] - Image MIME type
+   * @param {number} [options.quality] - Encoder quality from 0 to 1 for lossy types
+   * @param {number} [options.time] - Shader time in seconds, defaults to the current clock
+   * @returns {Promise<Blob>} The encoded image
+   */
+  async exportImage({ width, height, type = "image/png", quality, time } = {}) {
+    if (
+      !this.gl ||
+      (!this.program && (!this.#isMultiPass || this.programs.length === 0))
+    ) {
+      throw new Error("Cannot export image: component is not initialized");
+    }
+    if (this.#contextLost) {
+      throw new Error("Cannot export image: the WebGL context is lost");
+    }
+
+    const aspect = this.canvas.width / this.canvas.height;
+    if (!width && !height) {
+      width = this.canvas.width;
+      height = this.canvas.height;
+    } else if (!height) {
+      height = width / aspect;
+    } else if (!width) {
+      width = height * aspect;
+    }
+    width = Math.round(width);
+    height = Math.round(height);
+
+    const maxSize = this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE);
+    if (width > maxSize || height > maxSize) {
+      throw new Error(
+        `Cannot export image: ${width}x${height} exceeds the maximum size of ${maxSize}`
+      );
+    }
+
+    const target = this.#createRenderTarget(width, height);
+    if (!target) {
+      throw new Error("Cannot export image: failed to create render target");
+    }
+
+    // Render every pass into the export target with intermediates at the same size
+    const framebuffers = this.#framebuffers;
+    const framebufferTextures = this.#framebufferTextures;
+    this.#framebuffers = [];
+    this.#framebufferTextures = [];
+    this.#renderTarget = target;
+    this.#frameTime = time !== undefined ? Number(time) : null;
+    this.#applyTimeline();
+
+    const pixels = new Uint8Array(width * height * 4);
+    try {
+      this.gl.viewport(0, 0, width, height);
+
+      if (this.#isMultiPass && this.programs.length > 0) {
+        if (this.programs.length > 1) {
+          this.createFramebuffers();
+        }
+        this.renderMultiPass();
+      } else {
+        this.renderSinglePass();
+      }
+
+      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, target.framebuffer);
+      this.gl.readPixels(
+        0,
+        0,
+        width,
+        height,
+        this.gl.RGBA,
+        this.gl.UNSIGNED_BYTE,
+        pixels
+      );
+    } finally {
+      this.cleanupFramebuffers();
+      this.#deleteRenderTarget(target);
+      this.#framebuffers = framebuffers;
+      this.#framebufferTextures = framebufferTextures;
+      this.#renderTarget = null;
+      this.#frameTime = null;
+      this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+      this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    // WebGL rows start at the bottom, image rows at the top
+    const imageData = new ImageData(width, height);
+    const rowSize = width * 4;
+    for (let y = 0; y < height; y++) {
+      imageData.data.set(
+        pixels.subarray((height - 1 - y) * rowSize, (height - y) * rowSize),
+        y * rowSize
+      );
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    canvas.getContext("2d").putImageData(imageData, 0, 0);
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(
+        (blob) =>
+          blob ? resolve(blob) : reject(new Error("Failed to encode image")),
+        type,
+        quality
+      );
+    });
+  }
+
+  /**
+   * Starts recording the shaded output to a video.
+   * The recording stops by itself if the element is cleaned up.
+   * @param {Object} [options]
+   * @param {number} [options.fps=30] - Frames per second to capture
+   * @param {number} [options.bitrate] - Video bitrate in bits per second
+   * @param {string} [options.mimeType] - Container and codec, defaults to the first supported WebM or MP4 type
+   * @param {boolean} [options.audio=false] - Whether to mix in the audio of the source video
+   */
+  startRecording({ fps = 30, bitrate, mimeType, audio = false } = {}) {
+    if (!this.gl || !this.canvas) {
+      throw new Error("Cannot start recording: component is not initialized");
+    }
+    if (this.#recording) {
+      throw new Error("Cannot start recording: already recording");
+    }
+
+    const stream = this.canvas.captureStream(fps);
+
+    if (audio) {
+      const video =
+        this.mediaElement?.tagName === "VIDEO" ? this.mediaElement : null;
+      const captureStream =
+        video && (video.captureStream || video.mozCaptureStream);
+      if (captureStream) {
+        for (const track of captureStream.call(video).getAudioTracks()) {
+          stream.addTrack(track);
         }
+      } else {
+        console.warn("No source video audio to record");
+      }
+    }
+
+    mimeType =
+      mimeType ||
+      [
+        "video/webm;codecs=vp9",
+        "video/webm;codecs=vp8",
+        "video/webm",
+        "video/mp4",
+      ].find((type) => MediaRecorder.isTypeSupported(type));
+
+    const recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: bitrate,
+    });
+    const chunks = [];
+
+    recorder.addEventListener("dataavailable", (event) => {
+      if (event.data.size > 0) {
+        chunks.push(event.data);
+      }
+    });
+
+    const stopped = new Promise((resolve) => {
+      recorder.addEventListener(
+        "stop",
+        () => {
+          stream.getTracks().forEach((track) => track.stop());
+          const blob = new Blob(chunks, { type: recorder.mimeType });
+          // A newer recording may already have started since stop() was called
+          if (this.#recording?.recorder === recorder) {
+            this.#recording = null;
+          }
+          this.dispatchEvent(
+            new CustomEvent("recordingstop", { detail: { blob } })
+          );
+          resolve(blob);
+        },
+        { once: true }
+      );
+    });
+
+    this.#recording = { recorder, stream, stopped };
+
+    // Collect data every second so long recordings aren't held in one chunk
+    recorder.start(1000);
+
+    this.dispatchEvent(
+      new CustomEvent("recordingstart", {
+        detail: { mimeType: recorder.mimeType },
+      })
+    );
+  }
+
+  /**
+   * Stops the current recording.
+   * @returns {Promise<Blob>} The recorded video
+   */
+  async stopRecording() {
+    if (!this.#recording) {
+      throw new Error("Cannot stop recording: not recording");
+    }
+
+    const { recorder, stopped } = this.#recording;
+    // Clear the state right away so a new recording can start before the
+    // recorder has flushed its final data
+    this.#recording = null;
+    if (recorder.state !== "inactive") {
+      recorder.stop();
+    }
+    return stopped;
+  }
+
+  /**
+   * Starts the render loop for continuous rendering.
+   */
+  startRenderLoop() {
+    // Rendering resumes once a lost context is restored
+    if (this.#contextLost) return;
+
+    if (
+      !this.gl ||
+      (!this.program && (!this.#isMultiPass || this.programs.length === 0))
+    ) {
+      console.warn("Cannot start render loop: no valid shader programs");
+      return;
+    }
+
+    if (this.animationFrame) {
+      cancelAnimationFrame(this.animationFrame);
+      this.animationFrame = null;
+    }
+
+    // With a manual clock the host drives rendering through renderFrame(),
+    // so only draw once to show the current state
+    if (this.clock === "manual") {
+      this.#drawFrame();
+      return;
+    }
+
+    const render = () => {
+      this.animationFrame = null;
+      if (
+        !this.gl ||
+        (!this.program && (!this.#isMultiPass || this.programs.length === 0))
+      ) {
+        return;
+      }
+
+      // Outside continuous rendering, only draw when something changed
+      const continuous = this.#rendersContinuously();
+      if (continuous || this.#needsRender) {
+        this.#needsRender = false;
+        this.#drawFrame();
+      }
+
+      if (continuous && !this.animationFrame) {
+        this.animationFrame = requestAnimationFrame(render);
       }
+    };
+
+    this.#render = render;
+    this.#needsRender = true;
+    render();
+  }
+
+  /**
+   * Schedules a frame for the next animation frame. Changes to uniforms,
+   * size, source and input do this already, so it is only needed outside
+   * continuous rendering when a shader depends on state the component
+   * can't see.
+   */
+  requestRender() {
+    this.#needsRender = true;
+    if (!this.#render || this.animationFrame || this.clock === "manual") {
+      return;
     }
+    this.animationFrame = requestAnimationFrame(this.#render);
+  }
 
-    // Apply built-in uniforms
-    const uResolution = uniformLocations.get("u_resolution");
-    if (uResolution) {
-      this.gl.uniform2f(uResolution, this.canvas.width, this.canvas.height);
-    }
+  /**
+   * Checks whether every animation frame has to be drawn: in continuous
+   * mode, while uniforms animate, for sources that can't signal changes,
+   * and in auto mode for shaders that depend on time or their previous frame.
+   * @returns {boolean} True if frames are drawn continuously
+   */
+  #rendersContinuously() {
+    const mode = this.renderMode;
+    if (mode === "continuous") return true;
 
-    const uTime = uniformLocations.get("u_time");
-    if (uTime) {
-      const timeInSeconds = (performance.now() - this.#startTime) / 1000.0;
-      this.gl.uniform1f(uTime, timeInSeconds);
-    }
+    if (this.#animations.size > 0 || this.#timeline) return true;
 
-    const uMouse = uniformLocations.get("u_mouse");
-    if (uMouse) {
-      this.gl.uniform4fv(uMouse, this.#mouseData);
+    // Canvases and images the browser animates itself are sampled every frame
+    const drawable = this.#sourceDrawable(this.#sourceObject);
+    if (
+      (typeof HTMLCanvasElement !== "undefined" &&
+        drawable instanceof HTMLCanvasElement &&
+        !(this.#sourceObject instanceof MediaShader)) ||
+      (typeof OffscreenCanvas !== "undefined" &&
+        drawable instanceof OffscreenCanvas) ||
+      this.#imageAnimates()
+    ) {
+      return true;
     }
 
-    const uHasTexture = uniformLocations.get("u_has_texture");
-    if (uHasTexture) {
-      this.gl.uniform1i(uHasTexture, this.#hasTexture ? 1 : 0);
-    }
+    if (mode === "on-demand") return false;
 
-    const uTexture = uniformLocations.get("u_texture");
-    if (uTexture) {
-      this.gl.uniform1i(uTexture, 0);
+    return (
+      this.#feedbackBuffers.size > 0 ||
+      this.#usesUniform(["u_time", "u_frame", "u_delta_time", "u_date"])
+    );
+  }
+
+  /**
+   * Checks whether the <img> has to be uploaded every frame: when the browser
+   * plays an animation ImageDecoder can't decode, and in continuous mode when
+   * the image may animate but couldn't be inspected.
+   * @returns {boolean} True if the image is uploaded every frame
+   */
+  #imageAnimates() {
+    if (this.mediaElement?.tagName !== "IMG" || this.#animatedImage) {
+      return false;
     }
+    return (
+      this.#imageAnimation === "animated" ||
+      (this.#imageAnimation === "unknown" && this.renderMode === "continuous")
+    );
   }
 
   /**
-   * Starts the render loop for continuous rendering.
+   * Checks whether any current program reads one of the given uniforms.
+   * @param {string[]} names - Uniform names
+   * @returns {boolean} True if a program has a location for any of them
    */
-  startRenderLoop() {
+  #usesUniform(names) {
+    return (
+      this.#isMultiPass ? this.#passUniformLocations : [this.#uniformLocations]
+    ).some((uniformLocations) =>
+      names.some((name) => uniformLocations?.has(name))
+    );
+  }
+
+  /**
+   * Synchronously renders one frame, e.g. for frame-accurate capture.
+   * With `clock="manual"` the given time also becomes the current shader time.
+   * @param {number} [time] - Shader time in seconds, defaults to the current clock
+   * @returns {boolean} True if a frame was rendered
+   */
+  renderFrame(time) {
     if (
       !this.gl ||
+      this.#contextLost ||
       (!this.program && (!this.#isMultiPass || this.programs.length === 0))
     ) {
-      console.warn("Cannot start render loop: no valid shader programs");
-      return;
+      return false;
     }
 
-    const render = () => {
-      if (
-        !this.gl ||
-        (!this.program && (!this.#isMultiPass || this.programs.length === 0))
-      ) {
-        if (this.animationFrame) {
-          cancelAnimationFrame(this.animationFrame);
-          this.animationFrame = null;
-        }
-        return;
-      }
+    if (time !== undefined && this.clock === "manual") {
+      this.#manualTime = Number(time);
+    }
 
-      this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+    this.#frameTime = time !== undefined ? Number(time) : null;
+    try {
+      this.#drawFrame();
+    } finally {
+      this.#frameTime = null;
+    }
+    return true;
+  }
 
-      // Only update texture if we have media element and it's an image
-      // (video textures are updated in the timeupdate event)
-      if (
-        this.mediaElement &&
-        this.texture &&
-        this.mediaElement.tagName === "IMG"
-      ) {
-        this.gl.activeTexture(this.gl.TEXTURE0);
-        this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
-        try {
-          this.gl.texImage2D(
-            this.gl.TEXTURE_2D,
-            0,
-            this.gl.RGBA,
-            this.gl.RGBA,
-            this.gl.UNSIGNED_BYTE,
-            this.mediaElement
-          );
-          this.#hasTexture = true;
-        } catch (e) {
-          console.warn("Failed to update texture:", e);
-          this.#hasTexture = false;
-        }
-      }
+  /**
+   * Refreshes textures that need sampling every frame, renders all passes
+   * to the canvas and dispatches a `render` event.
+   */
+  #drawFrame() {
+    if (this.#renderer) {
+      this.#fitSharedCanvas();
+    }
+    this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
 
-      if (this.#isMultiPass && this.programs.length > 0) {
-        // Multi-pass rendering
-        this.renderMultiPass();
-      } else {
-        // Single-pass rendering (backward compatibility)
-        this.renderSinglePass();
+    // Advance animated uniforms before they are uploaded
+    this.#updateAnimations();
+
+    const time = this.#currentTime();
+    this.#deltaTime =
+      this.#previousFrameTime === null
+        ? 0
+        : Math.max(0, time - this.#previousFrameTime);
+    this.#previousFrameTime = time;
+
+    // Upload images the browser animates itself
+    // (video textures are updated in the timeupdate event)
+    if (this.texture && this.#imageAnimates()) {
+      this.gl.activeTexture(this.gl.TEXTURE0);
+      this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
+      try {
+        this.gl.texImage2D(
+          this.gl.TEXTURE_2D,
+          0,
+          this.gl.RGBA,
+          this.gl.RGBA,
+          this.gl.UNSIGNED_BYTE,
+          this.mediaElement
+        );
+        this.#hasTexture = true;
+      } catch (e) {
+        console.warn("Failed to update texture:", e);
+        this.#hasTexture = false;
       }
+    }
 
-      this.animationFrame = requestAnimationFrame(render);
-    };
+    // Canvases can't signal changes, so sample them every frame
+    const sourceDrawable = this.#sourceDrawable(this.#sourceObject);
+    if (
+      sourceDrawable &&
+      !(this.#sourceObject instanceof MediaShader) &&
+      ((typeof HTMLCanvasElement !== "undefined" &&
+        sourceDrawable instanceof HTMLCanvasElement) ||
+        (typeof OffscreenCanvas !== "undefined" &&
+          sourceDrawable instanceof OffscreenCanvas))
+    ) {
+      this.#uploadSource();
+    }
 
-    if (this.animationFrame) {
-      cancelAnimationFrame(this.animationFrame);
+    if (this.#isMultiPass && this.programs.length > 0) {
+      // Multi-pass rendering
+      this.renderMultiPass();
+    } else {
+      // Single-pass rendering (backward compatibility)
+      this.renderSinglePass();
     }
-    render();
+    if (this.#renderer) {
+      this.#presentSharedFrame();
+    }
+    this.#frameCount++;
+
+    this.dispatchEvent(new CustomEvent("render"));
+  }
+
+  /**
+   * Gets the shader time in seconds.
+   * A time passed to renderFrame() wins, then a frozen `time` attribute,
+   * then the manual clock, and finally wall time since initialization.
+   * @returns {number} The time in seconds
+   */
+  #currentTime() {
+    if (this.#frameTime !== null) return this.#frameTime;
+
+    const frozen = parseFloat(this.getAttribute("time"));
+    if (!isNaN(frozen)) return frozen;
+
+    if (this.clock === "manual") return this.#manualTime;
+
+    return (performance.now() - this.#startTime) / 1000.0;
   }
 
   /**
@@ -2086,15 +6146,24 @@ class MediaShader extends HTMLElement {
    */
   renderSinglePass() {
     if (!this.gl || !this.program) return;
+    if (this.#renderer) {
+      this.#bindVertexBuffers();
+    }
 
-    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+    // Render into the previous-frame buffer when the shader samples it
+    const feedback = this.#feedbackTarget(0);
+    this.gl.bindFramebuffer(
+      this.gl.FRAMEBUFFER,
+      feedback ? feedback.write.framebuffer : this.#outputFramebuffer()
+    );
     this.gl.clear(this.gl.COLOR_BUFFER_BIT);
     this.gl.useProgram(this.program);
 
     // Set built-in uniforms
     const uResolution = this.#uniformLocations.get("u_resolution");
     if (uResolution) {
-      this.gl.uniform2f(uResolution, this.canvas.width, this.canvas.height);
+      const { width, height } = this.#targetSize();
+      this.gl.uniform2f(uResolution, width, height);
     }
 
     const uTexture = this.#uniformLocations.get("u_texture");
@@ -2110,8 +6179,7 @@ class MediaShader extends HTMLElement {
     // Update time uniform
     const uTime = this.#uniformLocations.get("u_time");
     if (uTime) {
-      const timeInSeconds = (performance.now() - this.#startTime) / 1000.0;
-      this.gl.uniform1f(uTime, timeInSeconds);
+      this.gl.uniform1f(uTime, this.#currentTime());
     }
 
     // Update mouse uniform
@@ -2120,6 +6188,9 @@ class MediaShader extends HTMLElement {
       this.gl.uniform4fv(uMouse, this.#mouseData);
     }
 
+    this.#applyPointerUniforms(this.#uniformLocations);
+    this.#applyFrameUniforms(this.#uniformLocations);
+
     // Bind texture
     this.gl.activeTexture(this.gl.TEXTURE0);
     if (this.texture && this.#hasTexture) {
@@ -2132,11 +6203,21 @@ class MediaShader extends HTMLElement {
       this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
     }
 
+    // Bind additional input textures and previous-frame textures
+    const unit = this.#bindInputTextures(this.#uniformLocations, 1);
+    this.#bindFeedbackTextures(0, this.#uniformLocations, unit);
+
     // Apply custom uniforms
     this.applyUniforms();
 
-    // Draw
+    // Draw, with texture coordinates following fit and position
+    this.#setTexCoords(this.#mediaRect());
     this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+
+    if (feedback) {
+      this.#presentTexture(feedback.write.texture, this.#outputFramebuffer());
+      this.#swapFeedbackBuffers();
+    }
   }
 
   /**
@@ -2144,16 +6225,33 @@ class MediaShader extends HTMLElement {
    */
   renderMultiPass() {
     if (!this.gl || this.programs.length === 0) return;
+    if (this.#renderer) {
+      this.#bindVertexBuffers();
+    }
 
     for (let passIndex = 0; passIndex < this.programs.length; passIndex++) {
       const program = this.programs[passIndex];
       const uniformLocations = this.#passUniformLocations[passIndex];
       const isLastPass = passIndex === this.programs.length - 1;
 
+      const feedback = this.#feedbackTarget(passIndex);
+
+      // Skip passes whose output nothing reads
+      if (!isLastPass && !feedback && !this.#framebuffers[passIndex]) {
+        continue;
+      }
+
       // Set render target
-      if (isLastPass) {
-        // Final pass renders to canvas
-        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, null);
+      if (feedback) {
+        // Passes whose previous frame is sampled render into their feedback buffer
+        this.gl.bindFramebuffer(
+          this.gl.FRAMEBUFFER,
+          feedback.write.framebuffer
+        );
+        this.gl.clear(this.gl.COLOR_BUFFER_BIT);
+      } else if (isLastPass) {
+        // Final pass renders to canvas (or the export target)
+        this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.#outputFramebuffer());
         this.gl.clear(this.gl.COLOR_BUFFER_BIT);
       } else {
         // Intermediate pass renders to framebuffer
@@ -2164,34 +6262,77 @@ class MediaShader extends HTMLElement {
         this.gl.clear(this.gl.COLOR_BUFFER_BIT);
       }
 
-      // Set input texture
-      this.gl.activeTexture(this.gl.TEXTURE0);
+      // Bind this pass's inputs, starting with u_texture on unit 0
+      this.gl.useProgram(program);
+      let unit = 0;
+      for (const [uniformName, source] of Object.entries(
+        this.#passes[passIndex].inputs
+      )) {
+        const location = uniformLocations.get(uniformName);
+        if (!location && uniformName !== "u_texture") continue;
 
-      if (passIndex === 0) {
-        // First pass uses original texture or default
-        if (this.texture && this.#hasTexture) {
-          this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
-        } else {
-          // Create a simple texture if no media
-          if (!this.texture) {
-            this.texture = this.createDummyTexture();
-          }
-          this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
-        }
-      } else {
-        // Subsequent passes use output from previous pass
+        this.gl.activeTexture(this.gl.TEXTURE0 + unit);
         this.gl.bindTexture(
           this.gl.TEXTURE_2D,
-          this.#framebufferTextures[passIndex - 1]
+          source === "original"
+            ? this.#mediaTexture()
+            : this.#passOutputTexture(source)
         );
+        if (location) {
+          this.gl.uniform1i(location, unit);
+        }
+        unit++;
       }
 
+      // Bind additional input textures and previous-frame textures
+      unit = this.#bindInputTextures(
+        uniformLocations,
+        unit,
+        this.#passes[passIndex].inputs
+      );
+      this.#bindFeedbackTextures(passIndex, uniformLocations, unit);
+
       // Apply uniforms for this pass
       this.applyPassUniforms(passIndex, program, uniformLocations);
 
-      // Draw
+      // Draw; fit and position apply to passes reading the media, passes
+      // reading other passes' output already line up with the canvas
+      this.#setTexCoords(
+        this.#passes[passIndex].inputs.u_texture === "original"
+          ? this.#mediaRect()
+          : [0, 0, 1, 1]
+      );
       this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+
+      if (feedback && isLastPass) {
+        this.#presentTexture(feedback.write.texture, this.#outputFramebuffer());
+      }
+    }
+
+    this.#swapFeedbackBuffers();
+  }
+
+  /**
+   * Gets the media texture, creating a placeholder when no media is loaded.
+   * @returns {WebGLTexture} The texture to sample as the original media
+   */
+  #mediaTexture() {
+    if (!this.texture) {
+      this.texture = this.createDummyTexture();
     }
+    return this.texture;
+  }
+
+  /**
+   * Gets the texture holding a pass's output for the current frame.
+   * @param {number} passIndex - The index of the pass
+   * @returns {WebGLTexture|null} The output texture
+   */
+  #passOutputTexture(passIndex) {
+    const feedback = this.#feedbackTarget(passIndex);
+    return feedback
+      ? feedback.write.texture
+      : this.#framebufferTextures[passIndex];
   }
 
   /**
@@ -2238,7 +6379,96 @@ class MediaShader extends HTMLElement {
     return texture;
   }
 
-  #onMouseMove(event) {
+  /**
+   * Sets the pointer uniforms: `u_pointers` holds `(x, y, pressure, down)`
+   * per active pointer in the same coordinates as u_mouse, `u_pointer_ids`
+   * their pointerIds and `u_pointer_count` how many are active.
+   * @param {Map} uniformLocations - The uniform locations for the program
+   */
+  #applyPointerUniforms(uniformLocations) {
+    const uPointers = uniformLocations.get("u_pointers");
+    const uPointerIds = uniformLocations.get("u_pointer_ids");
+    const uPointerCount = uniformLocations.get("u_pointer_count");
+    if (!uPointers && !uPointerIds && !uPointerCount) return;
+
+    const pointers = new Float32Array(MediaShader.#maxPointers * 4);
+    const ids = new Int32Array(MediaShader.#maxPointers);
+    let count = 0;
+    for (const [id, pointer] of this.#pointers) {
+      pointers.set(
+        [pointer.x, pointer.y, pointer.pressure, pointer.down ? 1 : 0],
+        count * 4
+      );
+      ids[count] = id;
+      count++;
+    }
+
+    if (uPointers) {
+      this.gl.uniform4fv(uPointers, pointers);
+    }
+    if (uPointerIds) {
+      this.gl.uniform1iv(uPointerIds, ids);
+    }
+    if (uPointerCount) {
+      this.gl.uniform1i(uPointerCount, count);
+    }
+  }
+
+  /**
+   * Stops touches from scrolling the page while the shader reacts to
+   * pointers, and lets them scroll again otherwise.
+   */
+  #updateTouchAction() {
+    if (!this.canvas) return;
+
+    this.canvas.style.touchAction = this.#usesUniform(
+      MediaShader.#pointerUniforms
+    )
+      ? "none"
+      : "";
+  }
+
+  /**
+   * Records the position, pressure and down state of a pointer.
+   * Pointers beyond the length of u_pointers are ignored.
+   * @param {PointerEvent} event - The pointer event
+   * @param {boolean} [down] - The new down state, unchanged if omitted
+   */
+  #trackPointer(event, down) {
+    if (
+      !this.#pointers.has(event.pointerId) &&
+      this.#pointers.size >= MediaShader.#maxPointers
+    ) {
+      return;
+    }
+
+    const rect = this.getBoundingClientRect();
+    const pointer = this.#pointers.get(event.pointerId) || { down: false };
+    pointer.x = (event.clientX - rect.left) / rect.width;
+    pointer.y = (event.clientY - rect.top) / rect.height;
+    pointer.pressure = event.pressure;
+    if (down !== undefined) {
+      pointer.down = down;
+    }
+    this.#pointers.set(event.pointerId, pointer);
+    this.#requestPointerRender();
+  }
+
+  /**
+   * Schedules a frame if a shader reacts to pointer input.
+   */
+  #requestPointerRender() {
+    if (this.#usesUniform(MediaShader.#pointerUniforms)) {
+      this.requestRender();
+    }
+  }
+
+  #onPointerMove(event) {
+    this.#trackPointer(event);
+
+    // u_mouse follows the primary pointer only
+    if (!event.isPrimary) return;
+
     const rect = this.getBoundingClientRect();
     // Normalize coordinates to [0,1]
     this.#mouseData[0] = (event.clientX - rect.left) / rect.width;
@@ -2250,7 +6480,10 @@ class MediaShader extends HTMLElement {
     }
   }
 
-  #onMouseDown(event) {
+  #onPointerDown(event) {
+    this.#trackPointer(event, true);
+    if (!event.isPrimary) return;
+
     this.#isMouseDown = true;
     const rect = this.getBoundingClientRect();
     // Store click position
@@ -2258,7 +6491,16 @@ class MediaShader extends HTMLElement {
     this.#mouseData[3] = (event.clientY - rect.top) / rect.height;
   }
 
-  #onMouseUp() {
+  #onPointerUp(event) {
+    // A lifted mouse or pen keeps hovering, touches and left pointers are gone
+    if (event.type === "pointerup" && event.pointerType !== "touch") {
+      this.#trackPointer(event, false);
+    } else {
+      this.#pointers.delete(event.pointerId);
+      this.#requestPointerRender();
+    }
+    if (!event.isPrimary) return;
+
     this.#isMouseDown = false;
     // Make click position negative when mouse is up
     this.#mouseData[2] = -Math.abs(this.#mouseData[2]);
@@ -2275,5 +6517,443 @@ class MediaShader extends HTMLElement {
   }
 }
 
+// Built-in chunks for #include, written to compile as GLSL ES 1.00 and 3.00
+MediaShader.registerChunk(
+  "common",
+  `
+            #define PI 3.14159265359
+            #define TAU 6.28318530718
+
+            float saturate(float x) { return clamp(x, 0.0, 1.0); }
+            vec3 saturate(vec3 x) { return clamp(x, 0.0, 1.0); }
+
+            // Maps x from [inMin, inMax] to [outMin, outMax]
+            float remap(float x, float inMin, float inMax, float outMin, float outMax) {
+                return outMin + (x - inMin) * (outMax - outMin) / (inMax - inMin);
+            }
+
+            // Counterclockwise rotation by an angle in radians
+            mat2 rotate2d(float angle) {
+                float c = cos(angle);
+                float s = sin(angle);
+                return mat2(c, s, -s, c);
+            }
+        `
+);
+
+MediaShader.registerChunk(
+  "hash",
+  `
+            // Hashes without sine, stable across GPUs (Dave Hoskins)
+            float hash12(vec2 p) {
+                vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+                p3 += dot(p3, p3.yzx + 33.33);
+                return fract((p3.x + p3.y) * p3.z);
+            }
+
+            vec2 hash22(vec2 p) {
+                vec3 p3 = fract(vec3(p.xyx) * vec3(0.1031, 0.1030, 0.0973));
+                p3 += dot(p3, p3.yzx + 33.33);
+                return fract((p3.xx + p3.yz) * p3.zy);
+            }
+
+            float hash13(vec3 p3) {
+                p3 = fract(p3 * 0.1031);
+                p3 += dot(p3, p3.zyx + 31.32);
+                return fract((p3.x + p3.y) * p3.z);
+            }
+        `
+);
+
+MediaShader.registerChunk(
+  "noise",
+  `
+            #include "hash"
+
+            // Value noise from 0 to 1
+            float valueNoise(vec2 p) {
+                vec2 i = floor(p);
+                vec2 f = fract(p);
+                vec2 u = f * f * (3.0 - 2.0 * f);
+                return mix(
+                    mix(hash12(i), hash12(i + vec2(1.0, 0.0)), u.x),
+                    mix(hash12(i + vec2(0.0, 1.0)), hash12(i + vec2(1.0, 1.0)), u.x),
+                    u.y
+                );
+            }
+
+            // Gradient noise from about -1 to 1
+            float gradientNoise(vec2 p) {
+                vec2 i = floor(p);
+                vec2 f = fract(p);
+                vec2 u = f * f * (3.0 - 2.0 * f);
+                float n00 = dot(hash22(i) * 2.0 - 1.0, f);
+                float n10 = dot(hash22(i + vec2(1.0, 0.0)) * 2.0 - 1.0, f - vec2(1.0, 0.0));
+                float n01 = dot(hash22(i + vec2(0.0, 1.0)) * 2.0 - 1.0, f - vec2(0.0, 1.0));
+                float n11 = dot(hash22(i + vec2(1.0, 1.0)) * 2.0 - 1.0, f - vec2(1.0, 1.0));
+                return mix(mix(n00, n10, u.x), mix(n01, n11, u.x), u.y) * 1.4142;
+            }
+
+            // Fractal Brownian motion of value noise, up to 8 octaves
+            float fbm(vec2 p, int octaves) {
+                float sum = 0.0;
+                float amplitude = 0.5;
+                for (int i = 0; i < 8; i++) {
+                    if (i >= octaves) break;
+                    sum += amplitude * valueNoise(p);
+                    p = p * 2.0 + vec2(17.0, 31.0);
+                    amplitude *= 0.5;
+                }
+                return sum;
+            }
+        `
+);
+
+MediaShader.registerChunk(
+  "color",
+  `
+            float luminance(vec3 color) {
+                return dot(color, vec3(0.2126, 0.7152, 0.0722));
+            }
+
+            // Hue, saturation and value from 0 to 1 (Sam Hocevar)
+            vec3 rgb2hsv(vec3 c) {
+                vec4 K = vec4(0.0, -1.0 / 3.0, 2.0 / 3.0, -1.0);
+                vec4 p = mix(vec4(c.bg, K.wz), vec4(c.gb, K.xy), step(c.b, c.g));
+                vec4 q = mix(vec4(p.xyw, c.r), vec4(c.r, p.yzx), step(p.x, c.r));
+                float d = q.x - min(q.w, q.y);
+                float e = 1.0e-10;
+                return vec3(abs(q.z + (q.w - q.y) / (6.0 * d + e)), d / (q.x + e), q.x);
+            }
+
+            vec3 hsv2rgb(vec3 c) {
+                vec4 K = vec4(1.0, 2.0 / 3.0, 1.0 / 3.0, 3.0);
+                vec3 p = abs(fract(c.xxx + K.xyz) * 6.0 - K.www);
+                return c.z * mix(K.xxx, clamp(p - K.xxx, 0.0, 1.0), c.y);
+            }
+
+            vec3 srgbToLinear(vec3 c) {
+                return mix(c / 12.92, pow((c + 0.055) / 1.055, vec3(2.4)), step(0.04045, c));
+            }
+
+            vec3 linearToSrgb(vec3 c) {
+                return mix(c * 12.92, 1.055 * pow(c, vec3(1.0 / 2.4)) - 0.055, step(0.0031308, c));
+            }
+        `
+);
+
+MediaShader.registerChunk(
+  "sdf",
+  `
+            // Signed distances, negative inside the shape
+            float sdCircle(vec2 p, float radius) {
+                return length(p) - radius;
+            }
+
+            float sdBox(vec2 p, vec2 halfSize) {
+                vec2 d = abs(p) - halfSize;
+                return length(max(d, 0.0)) + min(max(d.x, d.y), 0.0);
+            }
+
+            float sdRoundedBox(vec2 p, vec2 halfSize, float radius) {
+                return sdBox(p, halfSize - radius) - radius;
+            }
+
+            float sdSegment(vec2 p, vec2 a, vec2 b) {
+                vec2 pa = p - a;
+                vec2 ba = b - a;
+                float h = clamp(dot(pa, ba) / dot(ba, ba), 0.0, 1.0);
+                return length(pa - ba * h);
+            }
+
+            float opSmoothUnion(float a, float b, float k) {
+                float h = clamp(0.5 + 0.5 * (b - a) / k, 0.0, 1.0);
+                return mix(b, a, h) - k * h * (1.0 - h);
+            }
+        `
+);
+
+// Built-in effects, written in GLSL ES 1.00 so they also run on WebGL1
+{
+  // Shared declarations and helpers of the built-in effects
+  const common = `
+            precision highp float;
+            uniform sampler2D u_texture;
+            uniform vec2 u_resolution;
+            uniform float u_pixel_ratio;
+            uniform vec4 u_media_rect;
+            varying vec2 v_tex_coord;
+
+            // Transparent outside the media, e.g. in the letterbox of fit="contain"
+            vec4 sampleMedia(vec2 uv) {
+                bool inside = all(greaterThanEqual(uv, vec2(0.0))) &&
+                    all(lessThanEqual(uv, vec2(1.0)));
+                return inside ? texture2D(u_texture, uv) : vec4(0.0);
+            }
+
+            // Media coordinates of a canvas pixel, following fit and position
+            vec2 mediaCoord(vec2 fragCoord) {
+                return (fragCoord / u_resolution - u_media_rect.xy) / u_media_rect.zw;
+            }
+
+            float luminance(vec3 color) {
+                return dot(color, vec3(0.2126, 0.7152, 0.0722));
+            }
+        `;
+
+  // One direction of a separable Gaussian blur
+  const blurPass = (direction) => `${common}
+            uniform float u_radius; // @range 0 32 step 0.5 @label Radius
+
+            void main() {
+                // 17 taps spread over the radius in CSS pixels
+                vec2 stepSize = vec2(${direction}) * u_radius * u_pixel_ratio / 8.0 / u_resolution;
+                vec4 sum = vec4(0.0);
+                float total = 0.0;
+                for (int i = -8; i <= 8; i++) {
+                    float weight = exp(-float(i * i) / 32.0);
+                    sum += sampleMedia(v_tex_coord + stepSize * float(i)) * weight;
+                    total += weight;
+                }
+                gl_FragColor = sum / total;
+            }
+        `;
+
+  const ditherUniforms = {
+    u_levels: "Color levels per channel, 2 for black and white per channel",
+    u_size: "Size of the dither pixels in CSS pixels",
+  };
+
+  MediaShader.registerEffect("grayscale", {
+    fragment: `${common}
+            uniform float u_amount; // @range 0 1 step 0.01 @label Amount
+
+            void main() {
+                vec4 color = sampleMedia(v_tex_coord);
+                vec3 gray = vec3(luminance(color.rgb));
+                gl_FragColor = vec4(mix(color.rgb, gray, u_amount), color.a);
+            }
+        `,
+    uniforms: { u_amount: "How gray the image gets, from 0 to 1" },
+    defaults: { u_amount: 1 },
+  });
+
+  MediaShader.registerEffect("blur", {
+    passes: [blurPass("1.0, 0.0"), blurPass("0.0, 1.0")],
+    uniforms: { u_radius: "Blur radius in CSS pixels" },
+    defaults: { u_radius: 4 },
+  });
+
+  MediaShader.registerEffect("bloom", {
+    passes: [
+      {
+        name: "bright",
+        fragment: `${common}
+            uniform float u_threshold; // @range 0 1 step 0.01 @label Threshold
+
+            void main() {
+                vec4 color = sampleMedia(v_tex_coord);
+                float bright = smoothstep(u_threshold, u_threshold + 0.1, luminance(color.rgb));
+                gl_FragColor = vec4(color.rgb * bright, 1.0);
+            }
+        `,
+      },
+      { name: "blur-x", fragment: blurPass("1.0, 0.0") },
+      { name: "blur", fragment: blurPass("0.0, 1.0") },
+      {
+        fragment: `${common}
+            uniform sampler2D u_bloom;
+            uniform float u_intensity; // @range 0 3 step 0.05 @label Intensity
+
+            void main() {
+                vec4 color = sampleMedia(v_tex_coord);
+                // The glow covers the canvas, not just the media
+                vec3 glow = texture2D(u_bloom, gl_FragCoord.xy / u_resolution).rgb;
+                gl_FragColor = vec4(color.rgb + glow * u_intensity, color.a);
+            }
+        `,
+        inputs: { u_texture: "original", u_bloom: "blur" },
+      },
+    ],
+    uniforms: {
+      u_threshold: "Brightness above which areas glow, from 0 to 1",
+      u_intensity: "Strength of the glow",
+      u_radius: "Spread of the glow in CSS pixels",
+    },
+    defaults: { u_threshold: 0.7, u_intensity: 1, u_radius: 8 },
+  });
+
+  MediaShader.registerEffect("ordered-dither", {
+    fragment: `${common}
+            uniform float u_levels; // @range 2 16 step 1 @label Levels
+            uniform float u_size; // @range 1 8 step 1 @label Pixel size
+
+            // Bayer matrix thresholds from 0 to 1
+            float bayer2(vec2 cell) {
+                cell = floor(cell);
+                return fract(cell.x / 2.0 + cell.y * cell.y * 0.75);
+            }
+            float bayer4(vec2 cell) { return bayer2(0.5 * cell) * 0.25 + bayer2(cell); }
+            float bayer8(vec2 cell) { return bayer4(0.5 * cell) * 0.25 + bayer2(cell); }
+
+            void main() {
+                float size = max(u_size * u_pixel_ratio, 1.0);
+                vec2 cell = floor(gl_FragCoord.xy / size);
+                vec4 color = sampleMedia(mediaCoord((cell + 0.5) * size));
+
+                // Offset each pixel by its threshold before quantizing
+                float levels = max(u_levels, 2.0) - 1.0;
+                vec3 dithered = floor(color.rgb * levels + bayer8(cell)) / levels;
+                gl_FragColor = vec4(min(dithered, 1.0), color.a);
+            }
+        `,
+    uniforms: ditherUniforms,
+    defaults: { u_levels: 2, u_size: 1 },
+  });
+
+  MediaShader.registerEffect("error-dither", {
+    fragment: `${common}
+            uniform float u_levels; // @range 2 16 step 1 @label Levels
+            uniform float u_size; // @range 1 8 step 1 @label Pixel size
+
+            vec3 quantize(vec3 color, float levels) {
+                return floor(color * levels + 0.5) / levels;
+            }
+
+            vec3 quantizationError(vec2 cell, float size, float levels) {
+                vec3 color = sampleMedia(mediaCoord((cell + 0.5) * size)).rgb;
+                return color - quantize(color, levels);
+            }
+
+            void main() {
+                float size = max(u_size * u_pixel_ratio, 1.0);
+                float levels = max(u_levels, 2.0) - 1.0;
+                vec2 cell = floor(gl_FragCoord.xy / size);
+                vec4 color = sampleMedia(mediaCoord((cell + 0.5) * size));
+
+                // Pixels can't wait for their neighbours on the GPU, so take one
+                // step of Floyd-Steinberg diffusion from the pixel to the left
+                // and the three above (y grows upwards in gl_FragCoord)
+                vec3 error =
+                    quantizationError(cell + vec2(-1.0, 0.0), size, levels) * 7.0 +
+                    quantizationError(cell + vec2(1.0, 1.0), size, levels) * 3.0 +
+                    quantizationError(cell + vec2(0.0, 1.0), size, levels) * 5.0 +
+                    quantizationError(cell + vec2(-1.0, 1.0), size, levels);
+                vec3 dithered = quantize(clamp(color.rgb + error / 16.0, 0.0, 1.0), levels);
+                gl_FragColor = vec4(dithered, color.a);
+            }
+        `,
+    uniforms: ditherUniforms,
+    defaults: { u_levels: 2, u_size: 1 },
+  });
+
+  MediaShader.registerEffect("halftone", {
+    fragment: `${common}
+            uniform float u_size; // @range 4 48 step 1 @label Dot size
+            uniform float u_angle; // @range 0 1.57 step 0.01 @label Angle
+
+            void main() {
+                // Find the center of this pixel's cell in the rotated dot grid
+                float size = u_size * u_pixel_ratio;
+                mat2 rotation = mat2(cos(u_angle), sin(u_angle), -sin(u_angle), cos(u_angle));
+                vec2 grid = rotation * gl_FragCoord.xy / size;
+                vec2 center = floor(grid) + 0.5;
+                vec4 color = sampleMedia(mediaCoord(center * size * rotation));
+
+                // Darker cells get bigger dots, a black cell is covered completely
+                float radius = sqrt(1.0 - luminance(color.rgb)) * 0.7071;
+                float edge = 1.0 / size;
+                float ink = 1.0 - smoothstep(radius - edge, radius + edge, length(grid - center));
+                gl_FragColor = vec4(vec3(1.0 - ink), color.a);
+            }
+        `,
+    uniforms: {
+      u_size: "Distance between dots in CSS pixels",
+      u_angle: "Rotation of the dot grid in radians",
+    },
+    defaults: { u_size: 8, u_angle: 0.785 },
+  });
+
+  MediaShader.registerEffect("crt", {
+    fragment: `${common}
+            uniform float u_curvature; // @range 0 0.5 step 0.01 @label Curvature
+            uniform float u_scanlines; // @range 0 1 step 0.01 @label Scanlines
+            uniform float u_vignette; // @range 0 1 step 0.01 @label Vignette
+
+            void main() {
+                // Bulge the picture like a curved screen
+                vec2 centered = v_tex_coord * 2.0 - 1.0;
+                centered *= 1.0 + u_curvature * centered.yx * centered.yx;
+                vec4 color = sampleMedia(centered * 0.5 + 0.5);
+
+                // Darken every other row and tint columns like an aperture grille
+                float row = 0.5 + 0.5 * sin(gl_FragCoord.y * 3.14159);
+                float column = mod(floor(gl_FragCoord.x), 3.0);
+                vec3 mask = vec3(equal(vec3(column), vec3(0.0, 1.0, 2.0)));
+                color.rgb *= 1.0 - u_scanlines * (1.0 - row) * 0.5;
+                color.rgb *= mix(vec3(1.0), 0.7 + 0.6 * mask, u_scanlines);
+
+                color.rgb *= clamp(1.0 - u_vignette * dot(centered, centered) * 0.5, 0.0, 1.0);
+                gl_FragColor = color;
+            }
+        `,
+    uniforms: {
+      u_curvature: "How much the screen bulges",
+      u_scanlines: "Strength of the scanlines and the color mask, from 0 to 1",
+      u_vignette: "Darkening towards the corners, from 0 to 1",
+    },
+    defaults: { u_curvature: 0.1, u_scanlines: 0.5, u_vignette: 0.3 },
+  });
+
+  MediaShader.registerEffect("chromatic-aberration", {
+    fragment: `${common}
+            uniform float u_amount; // @range 0 20 step 0.1 @label Amount
+
+            void main() {
+                // Split the channels apart, more towards the edges
+                vec2 offset = (v_tex_coord - 0.5) * 2.0 * u_amount * u_pixel_ratio / u_resolution;
+                vec4 color = sampleMedia(v_tex_coord);
+                float red = sampleMedia(v_tex_coord + offset).r;
+                float blue = sampleMedia(v_tex_coord - offset).b;
+                gl_FragColor = vec4(red, color.g, blue, color.a);
+            }
+        `,
+    uniforms: { u_amount: "Channel offset at the edges in CSS pixels" },
+    defaults: { u_amount: 4 },
+  });
+
+  MediaShader.registerEffect("pixelate", {
+    fragment: `${common}
+            uniform float u_size; // @range 1 64 step 1 @label Pixel size
+
+            void main() {
+                float size = max(u_size * u_pixel_ratio, 1.0);
+                vec2 center = (floor(gl_FragCoord.xy / size) + 0.5) * size;
+                gl_FragColor = sampleMedia(mediaCoord(center));
+            }
+        `,
+    uniforms: { u_size: "Size of the pixels in CSS pixels" },
+    defaults: { u_size: 8 },
+  });
+
+  MediaShader.registerEffect("duotone", {
+    fragment: `${common}
+            uniform vec3 u_shadow; // @color @label Shadows
+            uniform vec3 u_highlight; // @color @label Highlights
+
+            void main() {
+                vec4 color = sampleMedia(v_tex_coord);
+                vec3 toned = mix(u_shadow, u_highlight, luminance(color.rgb));
+                gl_FragColor = vec4(toned, color.a);
+            }
+        `,
+    uniforms: {
+      u_shadow: "Color of the darkest areas",
+      u_highlight: "Color of the lightest areas",
+    },
+    defaults: { u_shadow: [0.1, 0.1, 0.3], u_highlight: [1, 0.85, 0.6] },
+  });
+}
+
 // Register the custom element
 customElements.define("media-shader", MediaShader);
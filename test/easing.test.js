@@ -0,0 +1,59 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadMediaShader } from "./load-media-shader.js";
+
+const { helpers } = loadMediaShader();
+const { easingFunction } = helpers;
+
+const near = (actual, expected) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-4,
+    `expected ${actual} to be close to ${expected}`
+  );
+
+test("linear returns the progress", () => {
+  const linear = easingFunction("linear");
+  for (const progress of [0.1, 0.25, 0.5, 0.9]) {
+    near(linear(progress), progress);
+  }
+});
+
+test("progress is clamped to the curve ends", () => {
+  const ease = easingFunction("ease");
+  assert.equal(ease(-1), 0);
+  assert.equal(ease(0), 0);
+  assert.equal(ease(1), 1);
+  assert.equal(ease(2), 1);
+});
+
+test("presets follow their CSS curves", () => {
+  assert.ok(easingFunction("ease-in")(0.5) < 0.5);
+  assert.ok(easingFunction("ease-out")(0.5) > 0.5);
+  near(easingFunction("ease-in-out")(0.5), 0.5);
+  // ease reaches about 80% halfway through
+  near(easingFunction("ease")(0.5), 0.8024);
+});
+
+test("cubic-bezier() is parsed", () => {
+  const ease = easingFunction("cubic-bezier(0.25, 0.1, 0.25, 1)");
+  near(ease(0.5), easingFunction("ease")(0.5));
+  near(easingFunction("cubic-bezier(0,0,1,1)")(0.3), 0.3);
+});
+
+test("functions are used as they are", () => {
+  const step = (t) => (t < 0.5 ? 0 : 1);
+  assert.equal(easingFunction(step), step);
+});
+
+test("unknown easings fall back to linear with a warning", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+
+  for (const easing of [
+    "bounce",
+    "cubic-bezier(1, 2)",
+    "cubic-bezier(a,b,c,d)",
+  ]) {
+    assert.equal(easingFunction(easing)(0.3), 0.3);
+  }
+  assert.equal(warn.mock.callCount(), 3);
+});
@@ -0,0 +1,78 @@
+import { readFileSync } from "node:fs";
+
+const source = readFileSync(
+  new URL("../media-shader.js", import.meta.url),
+  "utf8"
+);
+
+/**
+ * Creates a detached element stand-in for document.createElement.
+ * @returns {Object} An object with the element methods the component calls
+ */
+function createElement() {
+  return {
+    style: {},
+    setAttribute() {},
+    appendChild() {},
+    remove() {},
+  };
+}
+
+/**
+ * Loads media-shader.js with a minimal DOM so its pure helpers can run in
+ * Node. A static block is added to the class to hand the private helpers
+ * under test to the caller.
+ * @returns {{MediaShader: Function, helpers: Object}} The class and its helpers
+ */
+export function loadMediaShader() {
+  const helpers = {};
+  const globals = {
+    fetch: async () => ({ ok: false, status: 404 }),
+    exposeHelpers: (exposed) => Object.assign(helpers, exposed),
+    HTMLElement: class {
+      attachShadow() {
+        this.shadowRoot = createElement();
+        return this.shadowRoot;
+      }
+      getAttribute() {
+        return null;
+      }
+      hasAttribute() {
+        return false;
+      }
+      setAttribute() {}
+      removeAttribute() {}
+      dispatchEvent() {}
+    },
+    ResizeObserver: class {},
+    customElements: { define() {} },
+    document: {
+      baseURI: "http://localhost/",
+      createElement,
+      querySelectorAll: () => [],
+    },
+  };
+
+  const declaration = "class MediaShader extends HTMLElement {";
+  const instrumented = source.replace(
+    declaration,
+    `${declaration}
+  static {
+    exposeHelpers({
+      preprocess: (element, text) => element.#preprocess(text),
+      flattenUniformValue: (value, components) =>
+        MediaShader.#flattenUniformValue(value, components),
+      toUniformValue: (value) => MediaShader.#toUniformValue(value),
+      easingFunction: (easing) => MediaShader.#easingFunction(easing),
+      sniffImage: (bytes) => MediaShader.#sniffImage(bytes),
+    });
+  }`
+  );
+
+  // Evaluated in this realm so that results compare with deepStrictEqual
+  const MediaShader = new Function(
+    ...Object.keys(globals),
+    `${instrumented}\nreturn MediaShader;`
+  )(...Object.values(globals));
+  return { MediaShader, helpers };
+}
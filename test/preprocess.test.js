@@ -0,0 +1,92 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadMediaShader } from "./load-media-shader.js";
+
+const { MediaShader, helpers } = loadMediaShader();
+
+MediaShader.registerChunk("hash", "float hash(float n) {\n  return n;\n}");
+MediaShader.registerChunk(
+  "outer",
+  'float outer;\n#include "inner"\nfloat after;'
+);
+MediaShader.registerChunk("inner", "float inner;");
+
+const preprocess = (source) => helpers.preprocess(new MediaShader(), source);
+
+test("an included chunk compiles as its own source string", () => {
+  const result = preprocess(
+    'precision highp float;\n#include "hash"\nvoid main() {}'
+  );
+
+  assert.equal(
+    result.source,
+    [
+      "precision highp float;",
+      "#line 1 1",
+      "float hash(float n) {",
+      "  return n;",
+      "}",
+      "#line 3 0",
+      "void main() {}",
+    ].join("\n")
+  );
+  assert.deepEqual(
+    result.files.map(({ name }) => name),
+    [null, "hash"]
+  );
+  assert.equal(result.files[1].lines.get(2), "  return n;");
+  assert.equal(result.files[0].lines.get(3), "void main() {}");
+  assert.deepEqual(result.missing, []);
+  assert.equal(result.pending, false);
+});
+
+test("nested includes get their own source string numbers", () => {
+  const result = preprocess('#include "outer"\nvoid main() {}');
+
+  assert.equal(
+    result.source,
+    [
+      "#line 1 1",
+      "float outer;",
+      "#line 1 2",
+      "float inner;",
+      "#line 3 1",
+      "float after;",
+      "#line 2 0",
+      "void main() {}",
+    ].join("\n")
+  );
+  assert.deepEqual(
+    result.files.map(({ name }) => name),
+    [null, "outer", "inner"]
+  );
+  assert.equal(result.files[1].lines.get(3), "float after;");
+});
+
+test("a chunk included twice is only expanded once", () => {
+  const result = preprocess('#include "hash"\n#include "hash"\nvoid main() {}');
+
+  const lines = result.source.split("\n");
+  assert.equal(
+    lines.filter((line) => line === "float hash(float n) {").length,
+    1
+  );
+  // The second include leaves a blank line, so later lines keep their numbers
+  assert.deepEqual(lines.slice(-3), ["#line 2 0", "", "void main() {}"]);
+});
+
+test("unknown chunks are reported with their location", () => {
+  const result = preprocess('void main() {}\n  #include "nope"');
+
+  assert.equal(result.source, "void main() {}\n");
+  assert.deepEqual(result.missing, [{ file: 0, line: 2, name: "nope" }]);
+  assert.equal(result.pending, false);
+});
+
+test("#line directives in the source are followed", () => {
+  const result = preprocess('float a;\n#line 10\n#include "nope"');
+
+  assert.equal(result.files[0].lines.get(2), "#line 10");
+  assert.equal(result.files[0].lines.get(10), '#include "nope"');
+  assert.deepEqual(result.missing, [{ file: 0, line: 10, name: "nope" }]);
+});
@@ -0,0 +1,118 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadMediaShader } from "./load-media-shader.js";
+
+const { helpers } = loadMediaShader();
+const { sniffImage } = helpers;
+
+/**
+ * Builds a file from strings, written as ASCII, and arrays of bytes.
+ * @param {...(string|number[])} parts - The file contents in order
+ * @returns {Uint8Array} The file
+ */
+const bytes = (...parts) =>
+  Uint8Array.from(
+    parts.flatMap((part) =>
+      typeof part === "string"
+        ? [...part].map((character) => character.charCodeAt(0))
+        : [...part]
+    )
+  );
+
+const uint32 = (value) => [
+  (value >>> 24) & 0xff,
+  (value >>> 16) & 0xff,
+  (value >>> 8) & 0xff,
+  value & 0xff,
+];
+
+// Image descriptor without a local color table, then one data sub-block
+const gifFrame = [0x2c, 0, 0, 0, 0, 1, 0, 1, 0, 0, 2, 1, 0x44, 0];
+const gifControl = [0x21, 0xf9, 4, 0, 10, 0, 0, 0];
+
+const gif = (...frames) =>
+  bytes("GIF89a", [1, 0, 1, 0, 0, 0, 0], ...frames, [0x3b]);
+
+const pngChunk = (type, length) =>
+  bytes(uint32(length), type, new Array(length + 4).fill(0));
+
+const png = (...chunks) =>
+  bytes([0x89], "PNG\r\n\x1a\n", pngChunk("IHDR", 13), ...chunks);
+
+const webp = (flags) =>
+  bytes("RIFF", [0, 0, 0, 0], "WEBPVP8X", [10, 0, 0, 0, flags], [0, 0, 0]);
+
+const avif = (...brands) =>
+  bytes(
+    uint32(16 + brands.length * 4),
+    "ftyp",
+    brands[0],
+    [0, 0, 0, 0],
+    ...brands
+  );
+
+test("GIFs animate with more than one frame", () => {
+  assert.deepEqual(sniffImage(gif(gifControl, gifFrame)), {
+    type: "image/gif",
+    animated: false,
+  });
+  assert.deepEqual(
+    sniffImage(gif(gifControl, gifFrame, gifControl, gifFrame)),
+    { type: "image/gif", animated: true }
+  );
+});
+
+test("GIF global color tables are skipped", () => {
+  const file = bytes(
+    "GIF89a",
+    [1, 0, 1, 0, 0x80, 0, 0],
+    new Array(6).fill(0xff),
+    gifFrame,
+    gifFrame
+  );
+  assert.deepEqual(sniffImage(file), { type: "image/gif", animated: true });
+});
+
+test("PNGs animate with an acTL chunk before the image data", () => {
+  assert.deepEqual(sniffImage(png(pngChunk("acTL", 8), pngChunk("IDAT", 2))), {
+    type: "image/png",
+    animated: true,
+  });
+  assert.deepEqual(sniffImage(png(pngChunk("IDAT", 2), pngChunk("acTL", 8))), {
+    type: "image/png",
+    animated: false,
+  });
+});
+
+test("WebPs animate with the animation flag", () => {
+  assert.deepEqual(sniffImage(webp(0x02)), {
+    type: "image/webp",
+    animated: true,
+  });
+  assert.deepEqual(sniffImage(webp(0x10)), {
+    type: "image/webp",
+    animated: false,
+  });
+});
+
+test("AVIF image sequences animate", () => {
+  assert.deepEqual(sniffImage(avif("avis", "mif1", "avif")), {
+    type: "image/avif",
+    animated: true,
+  });
+  assert.deepEqual(sniffImage(avif("avif", "mif1")), {
+    type: "image/avif",
+    animated: false,
+  });
+});
+
+test("unknown formats are not recognized", () => {
+  assert.deepEqual(sniffImage(bytes("<svg></svg>")), {
+    type: null,
+    animated: null,
+  });
+  assert.deepEqual(sniffImage(avif("mp42", "isom")), {
+    type: null,
+    animated: null,
+  });
+});
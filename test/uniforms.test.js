@@ -0,0 +1,65 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadMediaShader } from "./load-media-shader.js";
+
+const { helpers } = loadMediaShader();
+const { flattenUniformValue, toUniformValue } = helpers;
+
+test("scalars become a single value", () => {
+  assert.deepEqual(flattenUniformValue(0.5, 1), [0.5]);
+  assert.deepEqual(flattenUniformValue("2", 1), [2]);
+});
+
+test("booleans become 0 or 1", () => {
+  assert.deepEqual(flattenUniformValue(true, 1), [1]);
+  assert.deepEqual(flattenUniformValue([false, true], 2), [0, 1]);
+});
+
+test("flat arrays are kept as they are", () => {
+  assert.deepEqual(flattenUniformValue([1, 0, 0, 1], 4), [1, 0, 0, 1]);
+});
+
+test("nested arrays are trimmed to the element size", () => {
+  assert.deepEqual(
+    flattenUniformValue(
+      [
+        [1, 2, 3],
+        [4, 5, 6],
+      ],
+      2
+    ),
+    [1, 2, 4, 5]
+  );
+});
+
+test("matrices can be given as columns", () => {
+  assert.deepEqual(
+    flattenUniformValue(
+      [
+        [1, 0],
+        [0, 1],
+      ],
+      4
+    ),
+    [1, 0, 0, 1]
+  );
+});
+
+test("hex colors become normalized channels", () => {
+  assert.deepEqual(toUniformValue("#fff"), [1, 1, 1]);
+  assert.deepEqual(toUniformValue("#ff000080"), [1, 0, 0, 128 / 255]);
+  assert.deepEqual(toUniformValue(" 00ff00 "), [0, 1, 0]);
+});
+
+test("non-string values pass through", () => {
+  assert.equal(toUniformValue(3), 3);
+  assert.deepEqual(toUniformValue([1, 2]), [1, 2]);
+});
+
+test("unsupported strings fall back to zero with a warning", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+
+  assert.equal(toUniformValue("red"), 0);
+  assert.equal(toUniformValue("#12345"), 0);
+  assert.equal(warn.mock.callCount(), 2);
+});